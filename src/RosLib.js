@@ -12,6 +12,7 @@
 import core from './core';
 import actionlib from './actionlib';
 import math from './math';
+import message_filters from './message_filters';
 import tf from './tf';
 import urdf from './urdf';
 
@@ -24,6 +25,7 @@ export default {
   ...core,
   ...actionlib,
   ...math,
+  ...message_filters,
   ...tf,
   ...urdf
 };
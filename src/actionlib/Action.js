@@ -0,0 +1,180 @@
+/**
+ * @fileOverview
+ * ROS 2 actions through rosbridge.
+ */
+
+import EventEmitter2 from 'events';
+import ActionGoal from './ActionGoal';
+
+/**
+ * The goal states of action_msgs/GoalStatus.
+ */
+const GoalStatus = {
+  UNKNOWN: 0,
+  ACCEPTED: 1,
+  EXECUTING: 2,
+  CANCELING: 3,
+  SUCCEEDED: 4,
+  CANCELED: 5,
+  ABORTED: 6
+};
+
+/**
+ * A ROS 2 action, spoken through the action ops of rosbridge_suite 1.x.
+ * Goals are sent as ROSLIB.ActionGoal, created with `createGoal`. Calling
+ * `advertise` turns the Action into a server.
+ *
+ * Emits the following events when advertised:
+ *  * 'goal' - a goal sent by an action client, with params:
+ *    * goal - the goal message
+ *    * goalID - the id to answer the goal with
+ *  * 'cancel' - an action client has canceled a goal, with params:
+ *    * goalID - the id of the canceled goal
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * name - the action name, like /fibonacci
+ *   * actionType - the action type, like 'action_tutorials_interfaces/action/Fibonacci'
+ */
+class Action extends EventEmitter2 {
+  constructor(options) {
+    super();
+    options = options || {};
+    this.ros = options.ros;
+    this.name = options.name;
+    this.actionType = options.actionType;
+    this.isAdvertised = false;
+  }
+
+  /**
+   * Create a goal for this action. Call `send` on the returned goal to send it.
+   *
+   * @param goalMessage - the JSON object containing the goal
+   * @returns the ROSLIB.ActionGoal
+   */
+  createGoal = (goalMessage) => {
+    return new ActionGoal({
+      action: this,
+      goalMessage: goalMessage
+    });
+  };
+
+  /**
+   * Advertise the action. This turns the Action object from a client into
+   * a server, emitting 'goal' and 'cancel' for the requests of clients.
+   */
+  advertise = () => {
+    if (this.isAdvertised) {
+      return;
+    }
+
+    const advertiseMessage = {
+      op: 'advertise_action',
+      type: this.actionType,
+      action: this.name
+    };
+
+    this.ros.on(this.name, this._actionRequest);
+    this.ros.callOnConnection(advertiseMessage);
+    this.isAdvertised = true;
+
+    // rosbridge forgets advertised actions when the connection drops, so
+    // queue the advertisement again for when the connection is back
+    this._waitForReconnect = false;
+    this._reconnectFunc = () => {
+      if (!this._waitForReconnect) {
+        this._waitForReconnect = true;
+        this.ros.callOnConnection(advertiseMessage);
+        this.ros.once('connection', () => {
+          this._waitForReconnect = false;
+        });
+      }
+    };
+    this.ros.on('close', this._reconnectFunc);
+  };
+
+  /**
+   * Unadvertise a previously advertised action.
+   */
+  unadvertise = () => {
+    if (!this.isAdvertised) {
+      return;
+    }
+    this.ros.removeListener(this.name, this._actionRequest);
+    this.ros.removeListener('close', this._reconnectFunc);
+    this.ros.callOnConnection({
+      op: 'unadvertise_action',
+      action: this.name
+    });
+    this.isAdvertised = false;
+  };
+
+  _actionRequest = (rosbridgeRequest) => {
+    if (rosbridgeRequest.op === 'cancel_action_goal') {
+      this.emit('cancel', rosbridgeRequest.id);
+    } else if (rosbridgeRequest.op === 'send_action_goal') {
+      this.emit('goal', rosbridgeRequest.args, rosbridgeRequest.id);
+    }
+  };
+
+  /**
+   * Send feedback for a goal being executed.
+   *
+   * @param goalID - the id of the goal, as emitted with 'goal'
+   * @param feedback - the feedback message
+   */
+  sendFeedback = (goalID, feedback) => {
+    this.ros.callOnConnection({
+      op: 'action_feedback',
+      id: goalID,
+      action: this.name,
+      values: feedback
+    });
+  };
+
+  /**
+   * Set the goal state to succeeded and return the result to the client.
+   *
+   * @param goalID - the id of the goal, as emitted with 'goal'
+   * @param result - the result message
+   */
+  setSucceeded = (goalID, result) => {
+    this._sendResult(goalID, result, GoalStatus.SUCCEEDED, true);
+  };
+
+  /**
+   * Set the goal state to canceled and return the result to the client.
+   *
+   * @param goalID - the id of the goal, as emitted with 'goal' or 'cancel'
+   * @param result - the result message (optional)
+   */
+  setCanceled = (goalID, result) => {
+    this._sendResult(goalID, result, GoalStatus.CANCELED, false);
+  };
+
+  /**
+   * Set the goal state to aborted and return the result to the client.
+   *
+   * @param goalID - the id of the goal, as emitted with 'goal'
+   * @param result - the result message (optional)
+   */
+  setAborted = (goalID, result) => {
+    this._sendResult(goalID, result, GoalStatus.ABORTED, false);
+  };
+
+  _sendResult = (goalID, result, status, success) => {
+    this.ros.callOnConnection({
+      op: 'action_result',
+      id: goalID,
+      action: this.name,
+      values: result || {},
+      status: status,
+      result: success
+    });
+  };
+}
+
+Action.GoalStatus = GoalStatus;
+
+export default Action;
@@ -0,0 +1,144 @@
+/**
+ * @fileOverview
+ * A goal of a ROS 2 action.
+ */
+
+import RosError from '../core/RosError';
+import EventEmitter2 from 'events';
+
+/**
+ * A goal of a ROS 2 action, see ROSLIB.Action.
+ *
+ * Emits the following events:
+ *  * 'status' - the final action_msgs/GoalStatus code of the goal
+ *  * 'feedback' - the feedback sent by the action server
+ *  * 'result' - the result sent by the action server
+ *  * 'timeout' - if a timeout occurred while sending a goal
+ *
+ *  @constructor
+ *  @param object with following keys:
+ *   * action - the ROSLIB.Action to use with this goal
+ *   * goalMessage - The JSON object containing the goal for the action server
+ */
+class ActionGoal extends EventEmitter2 {
+  constructor(options) {
+    super();
+    this.action = options.action;
+    this.goalMessage = options.goalMessage;
+    this.isFinished = false;
+    // the Promise of the first send, sending again returns it
+    this._promise = null;
+
+    // rosbridge identifies the goal by the id of the op sending it
+    this.goalID = 'send_action_goal:' + this.action.name + ':' + (++this.action.ros.idCounter);
+
+    this.on('status', (status) => {
+      this.status = status;
+    });
+
+    this.on('result', (result) => {
+      this.isFinished = true;
+      this.result = result;
+    });
+
+    this.on('feedback', (feedback) => {
+      this.feedback = feedback;
+    });
+  }
+
+  /**
+   * Send the goal to the action server. The goal is sent once, calling this
+   * again returns the Promise of the first call.
+   *
+   * @param timeout (optional) - a timeout length for the goal's result
+   * @returns a Promise resolving with the result, rejected with a ROSLIB.RosError if the
+   *   goal was canceled or aborted ('ACTION_FAILED'), rosbridge could not send it ('STATUS')
+   *   or the timeout passes first ('TIMEOUT')
+   */
+  send = (timeout) => {
+    if (this._promise) {
+      return this._promise;
+    }
+    const ros = this.action.ros;
+    const promise = new Promise((resolve, reject) => {
+      const cleanUp = () => {
+        ros.removeListener(this.goalID, onMessage);
+        ros.removeListener('status:' + this.goalID, onStatus);
+        this.removeListener('timeout', onTimeout);
+      };
+      const onMessage = (message) => {
+        if (message.op === 'action_feedback') {
+          this.emit('feedback', message.values);
+        } else if (message.op === 'action_result') {
+          cleanUp();
+          this.emit('status', message.status);
+          this.emit('result', message.values);
+          if (message.result === false) {
+            reject(new RosError('Goal ' + this.goalID + ' did not succeed', {
+              code: 'ACTION_FAILED',
+              operation: this.action.name,
+              details: message
+            }));
+          } else {
+            resolve(message.values);
+          }
+        }
+      };
+      const onStatus = (status) => {
+        if (status.level === 'error') {
+          cleanUp();
+          this.isFinished = true;
+          reject(new RosError(status.msg, {
+            code: 'STATUS',
+            operation: this.action.name,
+            details: status
+          }));
+        }
+      };
+      const onTimeout = () => {
+        cleanUp();
+        reject(new RosError('Timed out waiting for the result of goal ' + this.goalID, {
+          code: 'TIMEOUT',
+          operation: this.action.name
+        }));
+      };
+      ros.on(this.goalID, onMessage);
+      ros.on('status:' + this.goalID, onStatus);
+      this.once('timeout', onTimeout);
+    });
+    // users relying on the events are not forced to handle the rejection
+    promise.catch(() => {});
+    this._promise = promise;
+
+    ros._ensureStatusLevel();
+    ros.callOnConnection({
+      op: 'send_action_goal',
+      id: this.goalID,
+      action: this.action.name,
+      action_type: this.action.actionType,
+      args: this.goalMessage,
+      feedback: true
+    });
+    if (timeout) {
+      setTimeout(() => {
+        if (!this.isFinished) {
+          this.emit('timeout');
+        }
+      }, timeout);
+    }
+    return promise;
+  };
+
+  /**
+   * Cancel the current goal.
+   */
+  cancel = () => {
+    this.action.ros.callOnConnection({
+      op: 'cancel_action_goal',
+      id: this.goalID,
+      action: this.action.name
+    });
+  };
+}
+
+export default ActionGoal;
@@ -4,6 +4,7 @@
  */
 
 import Message from '../core/Message';
+import RosError from '../core/RosError';
 import EventEmitter2 from 'events';
 
 /**
@@ -62,8 +63,28 @@ class Goal extends EventEmitter2 {
    * Send the goal to the action server.
    *
    * @param timeout (optional) - a timeout length for the goal's result
+   * @returns a Promise resolving with the result, rejected with a ROSLIB.RosError
+   *   if the timeout passes first
    */
   send = (timeout) => {
+    const promise = new Promise((resolve, reject) => {
+      const onResult = (result) => {
+        this.removeListener('timeout', onTimeout);
+        resolve(result);
+      };
+      const onTimeout = () => {
+        this.removeListener('result', onResult);
+        reject(new RosError('Timed out waiting for the result of goal ' + this.goalID, {
+          code: 'TIMEOUT',
+          operation: this.actionClient.serverName
+        }));
+      };
+      this.once('result', onResult);
+      this.once('timeout', onTimeout);
+    });
+    // users relying on the 'timeout' event are not forced to handle the rejection
+    promise.catch(() => {});
+
     this.actionClient.goalTopic.publish(this.goalMessage);
     if (timeout) {
       setTimeout(() => {
@@ -72,6 +93,7 @@ class Goal extends EventEmitter2 {
         }
       }, timeout);
     }
+    return promise;
   };
 
   /**
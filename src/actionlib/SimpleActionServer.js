@@ -36,12 +36,12 @@ class SimpleActionServer extends EventEmitter2 {
         });
         this.feedbackPublisher.advertise();
 
-        const statusPublisher = new Topic({
+        this.statusPublisher = new Topic({
             ros : this.ros,
             name : this.serverName + '/status',
             messageType : 'actionlib_msgs/GoalStatusArray'
         });
-        statusPublisher.advertise();
+        this.statusPublisher.advertise();
 
         this.resultPublisher = new Topic({
             ros : this.ros,
@@ -136,12 +136,17 @@ class SimpleActionServer extends EventEmitter2 {
 
         // publish status at pseudo-fixed rate; required for clients to know they've connected
         const statusInterval = setInterval( () => {
+            // the publishers are re-advertised on reconnection, don't pile up
+            // stale status messages in the meantime
+            if (!this.ros.isConnected) {
+                return;
+            }
             const currentTime = new Date();
             const secs = Math.floor(currentTime.getTime()/1000);
             const nsecs = Math.round(1000000000*(currentTime.getTime()/1000-secs));
             this.statusMessage.header.stamp.secs = secs;
             this.statusMessage.header.stamp.nsecs = nsecs;
-            statusPublisher.publish(this.statusMessage);
+            this.statusPublisher.publish(this.statusMessage);
         }, 500); // publish every 500ms
     }
 
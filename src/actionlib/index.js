@@ -1,18 +1,22 @@
 import Ros from '../core/Ros';
 import mixin from '../mixin';
 
+import Action from './Action';
 import ActionClient from './ActionClient';
+import ActionGoal from './ActionGoal';
 import ActionListener from './ActionListener';
 import Goal from './Goal';
 import SimpleActionServer from './SimpleActionServer';
 
 const action = {
+    Action,
     ActionClient,
+    ActionGoal,
     ActionListener,
     Goal,
     SimpleActionServer
 };
 
-mixin(Ros, ['ActionClient', 'SimpleActionServer'], action);
+mixin(Ros, ['Action', 'ActionClient', 'SimpleActionServer'], action);
 
 export default action;
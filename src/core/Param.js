@@ -5,6 +5,7 @@
 
 import Service from './Service';
 import ServiceRequest from './ServiceRequest';
+import RosError from './RosError';
 
 /**
  * A ROS parameter.
@@ -26,8 +27,14 @@ class Param {
    *
    * @param callback - function with the following params:
    *  * value - the value of the param from ROS.
+   * @param failedCallback - the callback function when the service call failed (optional). Params:
+   *   * error - the error message reported by ROS, or a RosError if the value is not valid JSON
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the value when no callback is given
    */
-  get = (callback) => {
+  get = (callback, failedCallback, options) => {
     const paramClient = new Service({
       ros : this.ros,
       name : '/rosapi/get_param',
@@ -38,18 +45,51 @@ class Param {
       name : this.name
     });
 
+    // rosapi returns the value JSON encoded
+    const parse = (result) => {
+      try {
+        return JSON.parse(result.value);
+      } catch (error) {
+        throw new RosError('Cannot parse the value of ' + this.name, {
+          operation: this.name,
+          details: result.value
+        });
+      }
+    };
+
+    if (typeof callback !== 'function' && typeof failedCallback !== 'function') {
+      return paramClient.callService(request, null, null, options).then(parse);
+    }
     paramClient.callService(request, (result) => {
-      const value = JSON.parse(result.value);
-      callback(value);
-    });
+      let value;
+      try {
+        value = parse(result);
+      } catch (error) {
+        if (typeof failedCallback === 'function') {
+          failedCallback(error);
+        }
+        return;
+      }
+      if (typeof callback === 'function') {
+        callback(value);
+      }
+    }, failedCallback, options);
   };
 
   /**
    * Sets the value of the param in ROS.
    *
    * @param value - value to set param to.
+   * @param callback - function with the following params:
+   *  * response - the response from the service request
+   * @param failedCallback - the callback function when the service call failed (optional). Params:
+   *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  set = (value, callback) => {
+  set = (value, callback, failedCallback, options) => {
     const paramClient = new Service({
       ros : this.ros,
       name : '/rosapi/set_param',
@@ -61,13 +101,22 @@ class Param {
       value : JSON.stringify(value)
     });
 
-    paramClient.callService(request, callback);
+    return paramClient.callService(request, callback, failedCallback, options);
   };
 
   /**
    * Delete this parameter on the ROS server.
+   *
+   * @param callback - function with the following params:
+   *  * response - the response from the service request
+   * @param failedCallback - the callback function when the service call failed (optional). Params:
+   *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  delete = (callback) => {
+  delete = (callback, failedCallback, options) => {
     const paramClient = new Service({
       ros : this.ros,
       name : '/rosapi/delete_param',
@@ -78,7 +127,7 @@ class Param {
       name : this.name
     });
 
-    paramClient.callService(request, callback);
+    return paramClient.callService(request, callback, failedCallback, options);
   };
 }
 
@@ -20,6 +20,9 @@ import EventEmitter2 from 'events';
  *  * 'error' - there was an error with ROS
  *  * 'connection' - connected to the WebSocket server
  *  * 'close' - disconnected to the WebSocket server
+ *  * 'reconnecting' - a reconnection attempt was scheduled, with the attempt number and delay (in ms)
+ *  * 'reconnected' - the connection was re-established, with the number of attempts it took
+ *  * 'reconnect_failed' - gave up reconnecting after `reconnect.maxAttempts` attempts
  *  * <topicName> - a message came from rosbridge with the given topic name
  *  * <serviceID> - a service response came from rosbridge with the given ID
  *
@@ -29,6 +32,13 @@ import EventEmitter2 from 'events';
  *   * groovyCompatibility - don't use interfaces that changed after the last groovy release or rosbridge_suite and related tools (defaults to true)
  *   * transportLibrary (optional) - one of 'websocket', 'workersocket' (default), 'socket.io' or RTCPeerConnection instance controlling how the connection is created in `connect`.
  *   * transportOptions (optional) - the options to use use when creating a connection. Currently only used if `transportLibrary` is RTCPeerConnection.
+ *   * fragmentSize (optional) - the maximum size of an outgoing message before it is split into rosbridge 'fragment' ops (defaults to no fragmentation)
+ *   * fragmentTimeout (optional) - the time (in ms) to wait for the rest of an incoming fragmented message before dropping it (defaults to 30000)
+ *   * reconnect (optional) - true or an object to automatically reconnect when the connection is lost (disabled by default). Keys:
+ *     * initialDelay - the delay (in ms) before the first attempt (defaults to 1000)
+ *     * maxDelay - the upper bound (in ms) of the doubling delay between attempts (defaults to 30000)
+ *     * jitter - the fraction (0 to 1) by which each delay is randomly shortened (defaults to 0.5)
+ *     * maxAttempts - the number of attempts before giving up (defaults to Infinity)
  */
 class Ros extends EventEmitter2 {
   constructor(options) {
@@ -39,6 +49,54 @@ class Ros extends EventEmitter2 {
     this.isConnected = false;
     this.transportLibrary = options.transportLibrary || 'websocket';
     this.transportOptions = options.transportOptions || {};
+    this.fragmentSize = options.fragmentSize || 0;
+    this.fragmentTimeout = options.fragmentTimeout || 30000;
+    this.reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._closeRequested = false;
+    // the status level chosen with setStatusLevel, and the levels of single operations
+    this.statusLevel = undefined;
+    this._statusLevels = {};
+    // the level set for the status reports of our operations when none was chosen
+    this._defaultStatusLevel = undefined;
+
+    if (options.reconnect) {
+      const reconnect = options.reconnect === true ? {} : options.reconnect;
+      this.reconnect = {
+        initialDelay : reconnect.initialDelay !== undefined ? reconnect.initialDelay : 1000,
+        maxDelay : reconnect.maxDelay !== undefined ? reconnect.maxDelay : 30000,
+        jitter : reconnect.jitter !== undefined ? reconnect.jitter : 0.5,
+        maxAttempts : reconnect.maxAttempts !== undefined ? reconnect.maxAttempts : Infinity
+      };
+      this.on('close', this._scheduleReconnect);
+    }
+    else {
+      this.reconnect = null;
+    }
+
+    // rosbridge forgets the status level with the connection, restore it
+    // before anything else is sent on reconnection
+    this._waitForStatusLevel = false;
+    this.on('close', () => {
+      const level = this.statusLevel !== undefined ? this.statusLevel : this._defaultStatusLevel;
+      if (level !== undefined && !this._waitForStatusLevel) {
+        this._waitForStatusLevel = true;
+        this.callOnConnection({
+          op: 'set_level',
+          level: level
+        });
+        Object.keys(this._statusLevels).forEach((id) => {
+          this.callOnConnection({
+            op: 'set_level',
+            level: this._statusLevels[id],
+            id: id
+          });
+        });
+        this.once('connection', () => {
+          this._waitForStatusLevel = false;
+        });
+      }
+    });
 
     if (typeof options.groovyCompatibility === 'undefined') {
       this.groovyCompatibility = true;
@@ -63,6 +121,9 @@ class Ros extends EventEmitter2 {
    * @param url - WebSocket URL or RTCDataChannel label for Rosbridge
    */
   connect = (url) => {
+    this.url = url;
+    this._closeRequested = false;
+
     if (this.transportLibrary === 'socket.io') {
       this.socket = Object.assign(io(url, {'force new connection': true}), socketAdapter(this));
       this.socket.on('connect', this.socket.onopen);
@@ -86,14 +147,72 @@ class Ros extends EventEmitter2 {
   };
 
   /**
-   * Disconnect from the WebSocket server.
+   * Disconnect from the WebSocket server. This also stops any pending
+   * reconnection attempt.
    */
   close = () => {
+    this._closeRequested = true;
+    this._cancelReconnect();
     if (this.socket) {
       this.socket.close();
     }
   };
 
+  /**
+   * Schedules the next reconnection attempt after the connection was lost,
+   * doubling the delay with every failed attempt.
+   *
+   * @private
+   */
+  _scheduleReconnect = () => {
+    if (this._closeRequested || this._reconnectTimer) {
+      return;
+    }
+    if (this.reconnectAttempts >= this.reconnect.maxAttempts) {
+      const attempts = this.reconnectAttempts;
+      this._cancelReconnect();
+      this.emit('reconnect_failed', attempts);
+      return;
+    }
+
+    const backoff = Math.min(this.reconnect.maxDelay,
+      this.reconnect.initialDelay * Math.pow(2, this.reconnectAttempts));
+    const delay = backoff * (1 - this.reconnect.jitter * Math.random());
+    this.reconnectAttempts++;
+    this.emit('reconnecting', this.reconnectAttempts, delay);
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      // registered last so the messages queued on 'close' are sent first
+      this.removeListener('connection', this._handleReconnected);
+      this.once('connection', this._handleReconnected);
+      this.connect(this.url);
+    }, delay);
+  };
+
+  /**
+   * Emits 'reconnected' once a reconnection attempt succeeded.
+   *
+   * @private
+   */
+  _handleReconnected = () => {
+    const attempts = this.reconnectAttempts;
+    this.reconnectAttempts = 0;
+    this.emit('reconnected', attempts);
+  };
+
+  /**
+   * Stops any pending reconnection attempt and resets the attempt counter.
+   *
+   * @private
+   */
+  _cancelReconnect = () => {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.removeListener('connection', this._handleReconnected);
+  };
+
   /**
    * Sends an authorization request to the server.
    *
@@ -124,8 +243,12 @@ class Ros extends EventEmitter2 {
   /**
    * Sends the message over the WebSocket, but queues the message up if not yet
    * connected.
+   *
+   * @param message - the rosbridge operation to send
+   * @param fragmentSize (optional) - split the message into fragments of this size,
+   *   overriding the `fragmentSize` of this connection
    */
-  callOnConnection = (message) => {
+  callOnConnection = (message, fragmentSize) => {
     const messageJson = JSON.stringify(message);
     let emitter = null;
     if (this.transportLibrary === 'socket.io') {
@@ -134,20 +257,39 @@ class Ros extends EventEmitter2 {
       emitter = (msg) => {this.socket.send(msg);};
     }
 
+    let payloads = [messageJson];
+    fragmentSize = fragmentSize || this.fragmentSize;
+    if (fragmentSize && messageJson.length > fragmentSize) {
+      const id = message.id || 'fragment:' + (++this.idCounter);
+      const total = Math.ceil(messageJson.length / fragmentSize);
+      payloads = [];
+      for (let num = 0; num < total; num++) {
+        payloads.push(JSON.stringify({
+          op: 'fragment',
+          id: id,
+          data: messageJson.substr(num * fragmentSize, fragmentSize),
+          num: num,
+          total: total
+        }));
+      }
+    }
+
     if (!this.isConnected) {
       this.once('connection', () => {
-        emitter(messageJson);
+        payloads.forEach((payload) => emitter(payload));
       });
     } else {
-      emitter(messageJson);
+      payloads.forEach((payload) => emitter(payload));
     }
   };
 
   /**
-   * Sends a set_level request to the server
+   * Sends a set_level request to the server. Without a level chosen here,
+   * topics, services and actions ask for 'warning' to report the status of
+   * their operations. The levels are sent again after reconnecting.
    *
    * @param level - Status level (none, error, warning, info)
-   * @param id - Optional: Operation ID to change status level on
+   * @param id - Optional: Operation ID to change status level on, leaving `statusLevel` as it is
    */
   setStatusLevel = (level, id) => {
     const levelMsg = {
@@ -156,9 +298,62 @@ class Ros extends EventEmitter2 {
       id: id
     };
 
+    if (id !== undefined) {
+      this._statusLevels[id] = level;
+    } else {
+      this.statusLevel = level;
+    }
     this.callOnConnection(levelMsg);
   };
 
+  /**
+   * Asks rosbridge for the errors and warnings of our operations, unless a
+   * status level was chosen with `setStatusLevel`. The level is not taken as
+   * chosen, so `statusLevel` stays undefined and setStatusLevel overrides it.
+   *
+   * @private
+   */
+  _ensureStatusLevel = () => {
+    if (this.statusLevel !== undefined || this._defaultStatusLevel !== undefined) {
+      return;
+    }
+    this._defaultStatusLevel = 'warning';
+    this.callOnConnection({
+      op: 'set_level',
+      level: this._defaultStatusLevel
+    });
+  };
+
+  /**
+   * Calls a rosapi service and hands the response, passed through `transform`,
+   * to the callback or, when no callback is given, to the returned Promise.
+   *
+   * @private
+   * @param name - the name of the rosapi service, like /rosapi/topics
+   * @param serviceType - the service type, like 'rosapi/Topics'
+   * @param request - the ROSLIB.ServiceRequest to send
+   * @param transform - function picking the value of interest out of the response
+   * @param callback - the callback function when the service call succeeded (optional)
+   * @param failedCallback - the callback function when the service call failed (optional)
+   * @param options - the `timeout` and `signal` for the call (optional)
+   */
+  _callRosapi = (name, serviceType, request, transform, callback, failedCallback, options) => {
+    const client = new Service({
+      ros : this,
+      name : name,
+      serviceType : serviceType
+    });
+
+    if (typeof callback !== 'function' && typeof failedCallback !== 'function') {
+      return client.callService(request, null, null, options).then(transform);
+    }
+    client.callService(request, (result) => {
+      if (typeof callback === 'function') {
+        callback(transform(result));
+      }
+    }, failedCallback, options);
+  };
+
   /**
    * Retrieves Action Servers in ROS as an array of string
    *
@@ -166,29 +361,15 @@ class Ros extends EventEmitter2 {
    *   * actionservers - Array of action server names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `action_servers` of the response when no callback is given
    */
-  getActionServers = (callback, failedCallback) => {
-    const getActionServers = new Service({
-      ros : this,
-      name : '/rosapi/action_servers',
-      serviceType : 'rosapi/GetActionServers'
-    });
-
-    const request = new ServiceRequest({});
-    if (typeof failedCallback === 'function'){
-      getActionServers.callService(request,
-        (result) => {
-          callback(result.action_servers);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      getActionServers.callService(request, (result) => {
-        callback(result.action_servers);
-      });
-    }
+  getActionServers = (callback, failedCallback, options) => {
+    const request = new ServiceRequest();
+    return this._callRosapi('/rosapi/action_servers', 'rosapi/GetActionServers', request,
+      (result) => result.action_servers, callback, failedCallback, options);
   };
 
   /**
@@ -199,29 +380,15 @@ class Ros extends EventEmitter2 {
    *   * types - Array of message type names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  getTopics = (callback, failedCallback) => {
-    const topicsClient = new Service({
-      ros : this,
-      name : '/rosapi/topics',
-      serviceType : 'rosapi/Topics'
-    });
-
+  getTopics = (callback, failedCallback, options) => {
     const request = new ServiceRequest();
-    if (typeof failedCallback === 'function'){
-      topicsClient.callService(request,
-        (result) => {
-          callback(result);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      topicsClient.callService(request, (result) => {
-        callback(result);
-      });
-    }
+    return this._callRosapi('/rosapi/topics', 'rosapi/Topics', request,
+      (result) => result, callback, failedCallback, options);
   };
 
   /**
@@ -232,31 +399,17 @@ class Ros extends EventEmitter2 {
    *   * topics - Array of topic names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `topics` of the response when no callback is given
    */
-  getTopicsForType = (topicType, callback, failedCallback) => {
-    const topicsForTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/topics_for_type',
-      serviceType : 'rosapi/TopicsForType'
-    });
-
+  getTopicsForType = (topicType, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       type: topicType
     });
-    if (typeof failedCallback === 'function'){
-      topicsForTypeClient.callService(request,
-        (result) => {
-          callback(result.topics);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      topicsForTypeClient.callService(request, (result) => {
-        callback(result.topics);
-      });
-    }
+    return this._callRosapi('/rosapi/topics_for_type', 'rosapi/TopicsForType', request,
+      (result) => result.topics, callback, failedCallback, options);
   };
 
   /**
@@ -266,29 +419,15 @@ class Ros extends EventEmitter2 {
    *   * services - array of service names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `services` of the response when no callback is given
    */
-  getServices = (callback, failedCallback) => {
-    const servicesClient = new Service({
-      ros : this,
-      name : '/rosapi/services',
-      serviceType : 'rosapi/Services'
-    });
-
+  getServices = (callback, failedCallback, options) => {
     const request = new ServiceRequest();
-    if (typeof failedCallback === 'function'){
-      servicesClient.callService(request,
-        (result) => {
-          callback(result.services);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      servicesClient.callService(request, (result) => {
-        callback(result.services);
-      });
-    }
+    return this._callRosapi('/rosapi/services', 'rosapi/Services', request,
+      (result) => result.services, callback, failedCallback, options);
   };
 
   /**
@@ -299,31 +438,17 @@ class Ros extends EventEmitter2 {
    *   * topics - Array of service names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `services` of the response when no callback is given
    */
-  getServicesForType = (serviceType, callback, failedCallback) => {
-    const servicesForTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/services_for_type',
-      serviceType : 'rosapi/ServicesForType'
-    });
-
+  getServicesForType = (serviceType, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       type: serviceType
     });
-    if (typeof failedCallback === 'function'){
-      servicesForTypeClient.callService(request,
-        (result) => {
-          callback(result.services);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      servicesForTypeClient.callService(request, (result) => {
-        callback(result.services);
-      });
-    }
+    return this._callRosapi('/rosapi/services_for_type', 'rosapi/ServicesForType', request,
+      (result) => result.services, callback, failedCallback, options);
   };
 
 
@@ -335,31 +460,17 @@ class Ros extends EventEmitter2 {
    *   * type - String of the service type
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  getServiceRequestDetails = (type, callback, failedCallback) => {
-    const serviceTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/service_request_details',
-      serviceType : 'rosapi/ServiceRequestDetails'
-    });
+  getServiceRequestDetails = (type, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       type: type
     });
-
-    if (typeof failedCallback === 'function'){
-      serviceTypeClient.callService(request,
-        (result) => {
-          callback(result);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      serviceTypeClient.callService(request, (result) => {
-        callback(result);
-      });
-    }
+    return this._callRosapi('/rosapi/service_request_details', 'rosapi/ServiceRequestDetails', request,
+      (result) => result, callback, failedCallback, options);
   };
 
   /**
@@ -370,31 +481,17 @@ class Ros extends EventEmitter2 {
    *   * type - String of the service type
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  getServiceResponseDetails = (type, callback, failedCallback) => {
-    const serviceTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/service_response_details',
-      serviceType : 'rosapi/ServiceResponseDetails'
-    });
+  getServiceResponseDetails = (type, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       type: type
     });
-
-    if (typeof failedCallback === 'function'){
-      serviceTypeClient.callService(request,
-        (result) => {
-          callback(result);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      serviceTypeClient.callService(request, (result) => {
-        callback(result);
-      });
-    }
+    return this._callRosapi('/rosapi/service_response_details', 'rosapi/ServiceResponseDetails', request,
+      (result) => result, callback, failedCallback, options);
   };
 
   /**
@@ -404,29 +501,15 @@ class Ros extends EventEmitter2 {
    *   * nodes - array of node names
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `nodes` of the response when no callback is given
    */
-  getNodes = (callback, failedCallback) => {
-    const nodesClient = new Service({
-      ros : this,
-      name : '/rosapi/nodes',
-      serviceType : 'rosapi/Nodes'
-    });
-
+  getNodes = (callback, failedCallback, options) => {
     const request = new ServiceRequest();
-    if (typeof failedCallback === 'function'){
-      nodesClient.callService(request,
-        (result) => {
-          callback(result.nodes);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      nodesClient.callService(request, (result) => {
-        callback(result.nodes);
-      });
-    }
+    return this._callRosapi('/rosapi/nodes', 'rosapi/Nodes', request,
+      (result) => result.nodes, callback, failedCallback, options);
   };
 
   /**
@@ -439,31 +522,29 @@ class Ros extends EventEmitter2 {
    *   * services - array of service names hosted
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  getNodeDetails = (node, callback, failedCallback) => {
-    const nodesClient = new Service({
-      ros : this,
-      name : '/rosapi/node_details',
-      serviceType : 'rosapi/NodeDetails'
-    });
-
+  getNodeDetails = (node, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       node: node
     });
-    if (typeof failedCallback === 'function'){
-      nodesClient.callService(request,
+    if (typeof failedCallback === 'function') {
+      return this._callRosapi('/rosapi/node_details', 'rosapi/NodeDetails', request,
+        (result) => result,
         (result) => {
-          callback(result.subscribing, result.publishing, result.services);
+          if (typeof callback === 'function') {
+            callback(result.subscribing, result.publishing, result.services);
+          }
         },
-        (message) => {
-          failedCallback(message);
-        }
+        failedCallback,
+        options
       );
-    } else {
-      nodesClient.callService(request, (result) => {
-        callback(result);
-      });
     }
+    return this._callRosapi('/rosapi/node_details', 'rosapi/NodeDetails', request,
+      (result) => result, callback, null, options);
   };
 
   /**
@@ -473,28 +554,15 @@ class Ros extends EventEmitter2 {
    *  * params - array of param names.
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `names` of the response when no callback is given
    */
-  getParams = (callback, failedCallback) => {
-    const paramsClient = new Service({
-      ros : this,
-      name : '/rosapi/get_param_names',
-      serviceType : 'rosapi/GetParamNames'
-    });
+  getParams = (callback, failedCallback, options) => {
     const request = new ServiceRequest();
-    if (typeof failedCallback === 'function'){
-      paramsClient.callService(request,
-        (result) => {
-          callback(result.names);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      paramsClient.callService(request, (result) => {
-        callback(result.names);
-      });
-    }
+    return this._callRosapi('/rosapi/get_param_names', 'rosapi/GetParamNames', request,
+      (result) => result.names, callback, failedCallback, options);
   };
 
   /**
@@ -505,31 +573,17 @@ class Ros extends EventEmitter2 {
    *   * type - String of the topic type
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `type` of the response when no callback is given
    */
-  getTopicType = (topic, callback, failedCallback) => {
-    const topicTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/topic_type',
-      serviceType : 'rosapi/TopicType'
-    });
+  getTopicType = (topic, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       topic: topic
     });
-
-    if (typeof failedCallback === 'function'){
-      topicTypeClient.callService(request,
-        (result) => {
-          callback(result.type);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      topicTypeClient.callService(request, (result) => {
-        callback(result.type);
-      });
-    }
+    return this._callRosapi('/rosapi/topic_type', 'rosapi/TopicType', request,
+      (result) => result.type, callback, failedCallback, options);
   };
 
   /**
@@ -540,31 +594,17 @@ class Ros extends EventEmitter2 {
    *   * type - String of the service type
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `type` of the response when no callback is given
    */
-  getServiceType = (service, callback, failedCallback) => {
-    const serviceTypeClient = new Service({
-      ros : this,
-      name : '/rosapi/service_type',
-      serviceType : 'rosapi/ServiceType'
-    });
+  getServiceType = (service, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       service: service
     });
-
-    if (typeof failedCallback === 'function'){
-      serviceTypeClient.callService(request,
-        (result) => {
-          callback(result.type);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      serviceTypeClient.callService(request, (result) => {
-        callback(result.type);
-      });
-    }
+    return this._callRosapi('/rosapi/service_type', 'rosapi/ServiceType', request,
+      (result) => result.type, callback, failedCallback, options);
   };
 
   /**
@@ -575,31 +615,17 @@ class Ros extends EventEmitter2 {
    *   * details - Array of the message detail
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the `typedefs` of the response when no callback is given
    */
-  getMessageDetails = (message, callback, failedCallback) => {
-    const messageDetailClient = new Service({
-      ros : this,
-      name : '/rosapi/message_details',
-      serviceType : 'rosapi/MessageDetails'
-    });
+  getMessageDetails = (message, callback, failedCallback, options) => {
     const request = new ServiceRequest({
       type: message
     });
-
-    if (typeof failedCallback === 'function'){
-      messageDetailClient.callService(request,
-        (result) => {
-          callback(result.typedefs);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      messageDetailClient.callService(request, (result) => {
-        callback(result.typedefs);
-      });
-    }
+    return this._callRosapi('/rosapi/message_details', 'rosapi/MessageDetails', request,
+      (result) => result.typedefs, callback, failedCallback, options);
   };
 
   /**
@@ -660,30 +686,15 @@ class Ros extends EventEmitter2 {
    *   * typedefs_full_text - Array of full definitions of message types, similar to `gendeps --cat`
    * @param failedCallback - the callback function when the service call failed (optional). Params:
    *   * error - the error message reported by ROS
-   *
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response
+   *   * signal - an AbortSignal to cancel the call with
+   * @returns a Promise resolving with the response when no callback is given
    */
-  getTopicsAndRawTypes = (callback, failedCallback) => {
-    const topicsAndRawTypesClient = new Service({
-      ros : this,
-      name : '/rosapi/topics_and_raw_types',
-      serviceType : 'rosapi/TopicsAndRawTypes'
-    });
-
+  getTopicsAndRawTypes = (callback, failedCallback, options) => {
     const request = new ServiceRequest();
-    if (typeof failedCallback === 'function'){
-      topicsAndRawTypesClient.callService(request,
-        (result) => {
-          callback(result);
-        },
-        (message) => {
-          failedCallback(message);
-        }
-      );
-    }else{
-      topicsAndRawTypesClient.callService(request, (result) => {
-        callback(result);
-      });
-    }
+    return this._callRosapi('/rosapi/topics_and_raw_types', 'rosapi/TopicsAndRawTypes', request,
+      (result) => result, callback, failedCallback, options);
   };
 }
 
@@ -0,0 +1,34 @@
+/**
+ * @fileOverview
+ * The error Promises are rejected with.
+ */
+
+/**
+ * The error a Promise returned by roslib is rejected with.
+ *
+ * @constructor
+ * @param message - the error message, usually the one reported by ROS
+ * @param options - object with following keys:
+ *   * code - a short string identifying the kind of error (defaults to 'SERVICE_FAILED'):
+ *     * 'SERVICE_FAILED' - the service call was answered with a failure
+ *     * 'TIMEOUT' - no answer arrived in time
+ *     * 'ABORTED' - the call was cancelled through its AbortSignal
+ *     * 'STATUS' - rosbridge reported an error status for the operation
+ *     * 'ACTION_FAILED' - the action goal was canceled or aborted
+ *     * 'LOOKUP_FAILED' - a transform between two frames is not available
+ *     * 'EXTRAPOLATION' - a transform is requested for a time outside of the buffered data
+ *   * operation - the name of the topic, service, param or action involved
+ *   * details - the raw value that caused the error, if any
+ */
+class RosError extends Error {
+  constructor(message, options) {
+    super(message);
+    options = options || {};
+    this.name = 'RosError';
+    this.code = options.code || 'SERVICE_FAILED';
+    this.operation = options.operation;
+    this.details = options.details;
+  }
+}
+
+export default RosError;
@@ -4,11 +4,15 @@
  */
 
 import ServiceResponse from './ServiceResponse';
+import RosError from './RosError';
 import EventEmitter2 from 'events';
 
 /**
  * A ROS service client.
  *
+ * Emits the following events:
+ *  * 'warning' - rosbridge reported a warning for a call of this service
+ *
  * @constructor
  * @params options - possible keys include:
  *   * ros - the ROSLIB.Ros connection handle
@@ -36,25 +40,109 @@ class Service extends EventEmitter2{
    * @param callback - function with params:
    *   * response - the response from the service request
    * @param failedCallback - the callback function when the service call failed (optional). Params:
-   *   * error - the error message reported by ROS
+   *   * error - the error message reported by ROS in the response, or a ROSLIB.RosError if
+   *     rosbridge reported an error status ('STATUS'), or the call timed out or was aborted
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait for the response before failing with a 'TIMEOUT' error
+   *   * signal - an AbortSignal to cancel the call with, failing with an 'ABORTED' error
+   * @returns a Promise resolving with the response when no callback is given,
+   *   rejected with a ROSLIB.RosError when the call failed
    */
-  callService = (request, callback, failedCallback) => {
+  callService = (request, callback, failedCallback, options) => {
+    options = options || {};
+
+    if (typeof callback !== 'function' && typeof failedCallback !== 'function') {
+      return new Promise((resolve, reject) => {
+        if (this.isAdvertised) {
+          reject(new RosError('Cannot call the advertised service ' + this.name, {
+            operation: this.name
+          }));
+          return;
+        }
+        this.callService(request, resolve, (error) => {
+          reject(error instanceof RosError ? error : new RosError(error, {
+            operation: this.name,
+            details: error
+          }));
+        }, options);
+      });
+    }
+
     if (this.isAdvertised) {
       return;
     }
 
+    const signal = options.signal;
+    const fail = (error) => {
+      if (typeof failedCallback === 'function') {
+        failedCallback(error);
+      }
+    };
+
+    if (signal && signal.aborted) {
+      fail(new RosError('The call of ' + this.name + ' was aborted', {
+        code: 'ABORTED',
+        operation: this.name
+      }));
+      return;
+    }
+
     const serviceCallId = 'call_service:' + this.name + ':' + (++this.ros.idCounter);
+    let timer = null;
+
+    const cleanUp = () => {
+      clearTimeout(timer);
+      this.ros.removeListener('status:' + serviceCallId, onStatus);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const onResponse = (message) => {
+      cleanUp();
+      if (message.result !== undefined && message.result === false) {
+        fail(message.values);
+      } else if (typeof callback === 'function') {
+        callback(new ServiceResponse(message.values));
+      }
+    };
+    const onStatus = (status) => {
+      if (status.level === 'error') {
+        // rosbridge may not answer a call it rejected at all
+        this.ros.removeListener(serviceCallId, onResponse);
+        cleanUp();
+        fail(new RosError(status.msg, {
+          code: 'STATUS',
+          operation: this.name,
+          details: status
+        }));
+      } else if (status.level === 'warning') {
+        this.emit('warning', status.msg);
+      }
+    };
+    const onAbort = () => {
+      this.ros.removeListener(serviceCallId, onResponse);
+      cleanUp();
+      fail(new RosError('The call of ' + this.name + ' was aborted', {
+        code: 'ABORTED',
+        operation: this.name
+      }));
+    };
 
-    if (callback || failedCallback) {
-      this.ros.once(serviceCallId, function(message) {
-        if (message.result !== undefined && message.result === false) {
-          if (typeof failedCallback === 'function') {
-            failedCallback(message.values);
-          }
-        } else if (typeof callback === 'function') {
-          callback(new ServiceResponse(message.values));
-        }
-      });
+    this.ros.once(serviceCallId, onResponse);
+    this.ros.on('status:' + serviceCallId, onStatus);
+    this.ros._ensureStatusLevel();
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        this.ros.removeListener(serviceCallId, onResponse);
+        cleanUp();
+        fail(new RosError('No response from ' + this.name + ' within ' + options.timeout + 'ms', {
+          code: 'TIMEOUT',
+          operation: this.name
+        }));
+      }, options.timeout);
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
     }
 
     const call = {
@@ -83,20 +171,41 @@ class Service extends EventEmitter2{
       return;
     }
 
-    this._serviceCallback = callback;
-    this.ros.on(this.name, this._serviceResponse.bind(this));
-    this.ros.callOnConnection({
+    const advertiseMessage = {
       op: 'advertise_service',
       type: this.serviceType,
       service: this.name
-    });
+    };
+
+    this._serviceCallback = callback;
+    this.ros.on(this.name, this._serviceResponse);
+    this.ros.callOnConnection(advertiseMessage);
     this.isAdvertised = true;
+
+    // rosbridge forgets advertised services when the connection drops, so
+    // queue the advertisement again for when the connection is back
+    this._waitForReconnect = false;
+    this._reconnectFunc = () => {
+      if (!this._waitForReconnect) {
+        this._waitForReconnect = true;
+        this.ros.callOnConnection(advertiseMessage);
+        this.ros.once('connection', () => {
+          this._waitForReconnect = false;
+        });
+      }
+    };
+    this.ros.on('close', this._reconnectFunc);
   };
 
+  /**
+   * Unadvertise a previously advertised service.
+   */
   unadvertise = () => {
     if (!this.isAdvertised) {
       return;
     }
+    this.ros.removeListener(this.name, this._serviceResponse);
+    this.ros.removeListener('close', this._reconnectFunc);
     this.ros.callOnConnection({
       op: 'unadvertise_service',
       service: this.name
@@ -25,13 +25,23 @@ if(typeof bson !== 'undefined'){
  * @private
  */
 function SocketAdapter(client) {
-  function handleMessage(message) {
+  // incomplete sets of fragments, keyed by message id
+  var fragments = {};
+
+  // size is the number of bytes the message took on the wire, passed on for statistics
+  function handleMessage(message, size) {
     if (message.op === 'publish') {
-      client.emit(message.topic, message.msg);
+      client.emit(message.topic, message.msg, size);
     } else if (message.op === 'service_response') {
       client.emit(message.id, message);
     } else if (message.op === 'call_service') {
       client.emit(message.service, message);
+    } else if (message.op === 'send_action_goal' || message.op === 'cancel_action_goal') {
+      client.emit(message.action, message);
+    } else if (message.op === 'action_feedback' || message.op === 'action_result') {
+      client.emit(message.id, message);
+    } else if (message.op === 'fragment') {
+      handleFragment(message, size);
     } else if(message.op === 'status'){
       if(message.id){
         client.emit('status:'+message.id, message);
@@ -41,11 +51,50 @@ function SocketAdapter(client) {
     }
   }
 
-  function handlePng(message, callback) {
+  function handleFragment(message, size) {
+    var fragment = fragments[message.id];
+    if (!fragment) {
+      fragment = fragments[message.id] = {
+        data: [],
+        received: 0,
+        size: 0,
+        timer: null
+      };
+    }
+    if (fragment.data[message.num] === undefined) {
+      fragment.data[message.num] = message.data;
+      fragment.received++;
+      fragment.size += size;
+    }
+
+    clearTimeout(fragment.timer);
+    if (fragment.received < message.total) {
+      // drop the set if the remaining fragments never arrive
+      fragment.timer = setTimeout(function() {
+        delete fragments[message.id];
+      }, client.fragmentTimeout);
+      return;
+    }
+
+    delete fragments[message.id];
+    var reassembled;
+    try {
+      reassembled = JSON.parse(fragment.data.join(''));
+    } catch (error) {
+      // a corrupt or mismatched set, drop it
+      client.emit('error', error);
+      return;
+    }
+    handlePng(reassembled, fragment.size);
+  }
+
+  function handlePng(message, size) {
     if (message.op === 'png') {
-      decompressPng(message.data, callback);
+      decompressPng(message.data, function(decompressed) {
+        handleMessage(decompressed, size);
+      });
     } else {
-      callback(message);
+      handleMessage(message, size);
     }
   }
 
@@ -81,6 +130,10 @@ function SocketAdapter(client) {
      * @memberof SocketAdapter
      */
     onclose: function onClose(event) {
+      Object.keys(fragments).forEach(function(id) {
+        clearTimeout(fragments[id].timer);
+      });
+      fragments = {};
       client.isConnected = false;
       client.emit('close', event);
     },
@@ -105,17 +158,39 @@ function SocketAdapter(client) {
     onmessage: function onMessage(data) {
       if (typeof Blob !== 'undefined' && data.data instanceof Blob) {
         decodeBSON(data.data, function (message) {
-          handlePng(message, handleMessage);
+          handlePng(message, data.data.size);
         });
       } else if (data.data instanceof ArrayBuffer) {
         var decoded = CBOR.decode(data.data, typedArrayTagger);
-        handleMessage(decoded);
+        handleMessage(decoded, data.data.byteLength);
       } else {
-        var message = JSON.parse(typeof data === 'string' ? data : data.data);
-        handlePng(message, handleMessage);
+        var text = typeof data === 'string' ? data : data.data;
+        handlePng(JSON.parse(text), utf8Length(text));
       }
     }
   };
 }
 
+/**
+ * Count the bytes of a string in UTF-8, as it was sent.
+ *
+ * @private
+ */
+function utf8Length(text) {
+  var length = text.length;
+  for (var i = 0; i < text.length; i++) {
+    var code = text.charCodeAt(i);
+    if (code >= 0xD800 && code <= 0xDBFF) {
+      // a surrogate pair, 4 bytes for 2 characters
+      length += 2;
+      i++;
+    } else if (code >= 0x800) {
+      length += 2;
+    } else if (code >= 0x80) {
+      length += 1;
+    }
+  }
+  return length;
+}
+
 export default SocketAdapter;
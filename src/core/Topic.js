@@ -5,13 +5,19 @@
 
 import EventEmitter2 from 'events';
 import Message from './Message';
+import RosError from './RosError';
+import TopicStatistics from './TopicStatistics';
 
 /**
  * Publish and/or subscribe to a topic in ROS.
  *
  * Emits the following events:
- *  * 'warning' - if there are any warning during the Topic creation
+ *  * 'warning' - if there are any warning during the Topic creation, or rosbridge
+ *                reported a warning for subscribing, advertising or publishing
+ *  * 'error' - a ROSLIB.RosError with code 'STATUS' if rosbridge reported an error for
+ *              subscribing, advertising or publishing (only emitted if there are listeners)
  *  * 'message' - the message data from rosbridge
+ *  * 'stats' - the statistics of the received messages every statistics_interval, see `stats()`
  *
  * @constructor
  * @param options - object with following keys:
@@ -24,6 +30,13 @@ import Message from './Message';
  *   * latch - latch the topic when publishing
  *   * queue_length - the queue length at bridge side used when subscribing (defaults to 0, no queueing).
  *   * reconnect_on_close - the flag to enable resubscription and readvertisement on close event(defaults to true).
+ *   * fragment_size - the maximum size of a message before it is fragmented, both by rosbridge when sending
+ *                     to this subscriber and by roslib when publishing (defaults to the fragmentSize of the ROSLIB.Ros)
+ *   * statistics - the flag to collect statistics of the received messages, see `stats()` (defaults to false)
+ *   * statistics_window - the time (in ms) of the sliding window the statistics are computed over (defaults to 10000)
+ *   * statistics_interval - the time (in ms) between 'stats' events while subscribed, 0 for none (defaults to 1000)
+ *   * keep_latest - the flag to keep the last received message while subscribed, see `latest` (defaults to false)
+ *   * latest_max_age - the time (in ms) after which the kept message is stale, 0 for never (defaults to 0)
  */
 class Topic extends EventEmitter2 {
   constructor (options) {
@@ -38,7 +51,18 @@ class Topic extends EventEmitter2 {
     this.latch = options.latch || false;
     this.queue_size = options.queue_size || 100;
     this.queue_length = options.queue_length || 0;
+    this.fragment_size = options.fragment_size;
     this.reconnect_on_close = options.reconnect_on_close !== undefined ? options.reconnect_on_close : true;
+    this.statistics = options.statistics ? new TopicStatistics({
+      window: options.statistics_window
+    }) : null;
+    this.statistics_interval = options.statistics_interval !== undefined ? options.statistics_interval : 1000;
+    this._statsTimer = null;
+    this.keep_latest = options.keep_latest || false;
+    this.latest_max_age = options.latest_max_age || 0;
+    this._latest = null;
+    // per callback subscribed with options: the wrappers applying them
+    this._wrappedCallbacks = new Map();
 
     // Check for valid compression types
     if (this.compression && this.compression !== 'png' &&
@@ -76,26 +100,133 @@ class Topic extends EventEmitter2 {
       this.callForSubscribeAndAdvertise = this.ros.callOnConnection;
     }
 
-    this._messageCallback = (data) => {
-      this.emit('message', new Message(data));
+    this._messageCallback = (data, size) => {
+      if (this.statistics) {
+        this.statistics.record(size);
+      }
+      const message = new Message(data);
+      if (this.keep_latest) {
+        this._latest = {
+          message: message,
+          time: Date.now()
+        };
+      }
+      this.emit('message', message);
     };
+    this._subscribeStatusCallback = this._createStatusCallback('subscribe');
+    this._advertiseStatusCallback = this._createStatusCallback('advertise');
+    this._publishStatusCallback = this._createStatusCallback('publish');
+  }
+
+  /**
+   * Creates the listener turning the rosbridge status messages of an operation
+   * on this topic into 'error' and 'warning' events.
+   *
+   * @private
+   * @param operation - the rosbridge op the status messages belong to, like 'subscribe'
+   */
+  _createStatusCallback = (operation) => {
+    return (status) => {
+      if (status.level === 'error') {
+        // unlike EventEmitter, don't throw when nobody listens, these used to be dropped silently
+        if (this.listenerCount('error')) {
+          this.emit('error', new RosError(operation + ' ' + this.name + ': ' + status.msg, {
+            code: 'STATUS',
+            operation: this.name,
+            details: status
+          }));
+        }
+      } else if (status.level === 'warning') {
+        this.emit('warning', operation + ' ' + this.name + ': ' + status.msg);
+      }
+    };
+  };
+
+  /**
+   * Get the statistics of the messages received in the sliding window, like
+   * rostopic hz and bw. Sizes are those of the messages as received from
+   * rosbridge, so compressed or fragmented if they were.
+   *
+   * @returns null if the statistics option is not set, otherwise an object with following keys:
+   *   * count - the number of messages in the window
+   *   * rate - {mean, min, max, stddev} of the message rate in Hz
+   *   * jitter - the standard deviation of the time between messages in seconds
+   *   * size - {mean, min, max} of the message sizes in bytes
+   *   * bandwidth - the received bytes per second
+   */
+  stats = () => {
+    return this.statistics ? this.statistics.compute() : null;
+  };
+
+  /**
+   * The last received message if the keep_latest option is set, or null if
+   * none was received since subscribing. It is kept across reconnections.
+   */
+  get latest() {
+    return this._latest ? this._latest.message : null;
+  }
+
+  /**
+   * The time (in ms since the epoch) the latest message was received, or null.
+   */
+  get latestTime() {
+    return this._latest ? this._latest.time : null;
   }
 
+  /**
+   * Check whether the latest message is missing or too old.
+   *
+   * @param maxAge (optional) - the time (in ms) after which the message is stale (defaults to latest_max_age)
+   * @returns true if there is no latest message or it is older than maxAge
+   */
+  isStale = (maxAge) => {
+    maxAge = maxAge !== undefined ? maxAge : this.latest_max_age;
+    if (!this._latest) {
+      return true;
+    }
+    return maxAge > 0 && Date.now() - this._latest.time > maxAge;
+  };
+
   /**
    * Every time a message is published for the given topic, the callback
-   * will be called with the message object.
+   * will be called with the message object. With the keep_latest option, the
+   * callback is called with the latest message right away unless it is stale.
+   *
+   * The options reduce the messages passed to this callback only, other
+   * callbacks of the same subscription still get every message. They are
+   * applied in the order filter, everyNth, maxRate, debounce.
    *
    * @param callback - function with the following params:
    *   * message - the published message
+   * @param options - object with following keys (optional):
+   *   * filter - function taking a message and returning whether to pass it on
+   *   * everyNth - pass on only every Nth message, starting with the first
+   *   * maxRate - the maximum rate (in Hz) of messages passed on, dropping those in between
+   *   * debounce - the time (in ms) without messages to wait before passing on the last one
    */
-  subscribe = (callback) => {
+  subscribe = (callback, options) => {
     if (typeof callback === 'function') {
-      this.on('message', callback);
+      let listener = callback;
+      if (options && (options.filter || options.everyNth > 1 || options.maxRate > 0 || options.debounce > 0)) {
+        listener = this._wrapCallback(callback, options);
+        this._wrappedCallbacks.set(callback, (this._wrappedCallbacks.get(callback) || []).concat([listener]));
+      }
+      this.on('message', listener);
+      if (this.keep_latest && !this.isStale()) {
+        listener(this._latest.message);
+      }
     }
 
     if (this.subscribeId) { return; }
     this.ros.on(this.name, this._messageCallback);
+    if (this.statistics && this.statistics_interval > 0) {
+      this._statsTimer = setInterval(() => {
+        this.emit('stats', this.stats());
+      }, this.statistics_interval);
+    }
     this.subscribeId = 'subscribe:' + this.name + ':' + (++this.ros.idCounter);
+    this.ros.on('status:' + this.subscribeId, this._subscribeStatusCallback);
+    this.ros._ensureStatusLevel();
 
     this.callForSubscribeAndAdvertise({
       op: 'subscribe',
@@ -104,10 +235,194 @@ class Topic extends EventEmitter2 {
       topic: this.name,
       compression: this.compression,
       throttle_rate: this.throttle_rate,
-      queue_length: this.queue_length
+      queue_length: this.queue_length,
+      fragment_size: this.fragment_size
+    });
+  };
+
+  /**
+   * Wait for the next message, subscribing until it arrives. The latest kept
+   * message does not count, see `latest` for it.
+   *
+   * @param options - object with following keys (optional):
+   *   * timeout - the time (in ms) to wait before failing with a 'TIMEOUT' error
+   *   * filter - function taking a message and returning whether to accept it, default: all
+   *   * signal - an AbortSignal to stop waiting with, failing with an 'ABORTED' error
+   * @returns a Promise resolving with the message, rejected with a ROSLIB.RosError if
+   *   no message arrived in time or waiting was aborted
+   */
+  waitForMessage = (options) => {
+    options = options || {};
+    const signal = options.signal;
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanUp = () => {
+        this.unsubscribe(onMessage);
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const onMessage = (message) => {
+        let accepted;
+        try {
+          accepted = !options.filter || options.filter(message);
+        } catch (error) {
+          cleanUp();
+          reject(error);
+          return;
+        }
+        if (accepted) {
+          cleanUp();
+          resolve(message);
+        }
+      };
+      const onAbort = () => {
+        cleanUp();
+        reject(new RosError('Waiting for a message on ' + this.name + ' was aborted', {
+          code: 'ABORTED',
+          operation: this.name
+        }));
+      };
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+      this.on('message', onMessage);
+      this.subscribe();
+      if (options.timeout) {
+        timer = setTimeout(() => {
+          cleanUp();
+          reject(new RosError('Timed out waiting for a message on ' + this.name, {
+            code: 'TIMEOUT',
+            operation: this.name
+          }));
+        }, options.timeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
     });
   };
 
+  /**
+   * Iterate over the messages with `for await`, subscribing while iterating.
+   * Messages arriving faster than they are consumed are buffered, up to
+   * `bufferSize`, beyond which messages are dropped. Iterating the topic itself
+   * uses the defaults.
+   *
+   * @param options - object with following keys (optional):
+   *   * bufferSize - the maximum number of buffered messages (defaults to 10)
+   *   * dropPolicy - which message to drop when the buffer is full, 'oldest' or 'newest' (defaults to 'oldest')
+   * @returns an async iterator of the messages, ending when the loop is left or the topic is unsubscribed
+   */
+  messages = (options) => {
+    options = options || {};
+    const bufferSize = options.bufferSize || 10;
+    const dropNewest = options.dropPolicy === 'newest';
+    const buffer = [];
+    // the pending next() calls waiting for a message
+    const waiting = [];
+    let done = false;
+
+    const onMessage = (message) => {
+      if (waiting.length) {
+        waiting.shift()({ value: message, done: false });
+      } else if (buffer.length < bufferSize) {
+        buffer.push(message);
+      } else if (!dropNewest) {
+        buffer.shift();
+        buffer.push(message);
+      }
+    };
+    const finish = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      this.removeListener('unsubscribe', finish);
+      this.unsubscribe(onMessage);
+      buffer.length = 0;
+      waiting.splice(0).forEach((resolve) => {
+        resolve({ value: undefined, done: true });
+      });
+    };
+    this.once('unsubscribe', finish);
+    this.subscribe(onMessage);
+
+    const iterator = {
+      next: () => {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => {
+          waiting.push(resolve);
+        });
+      },
+      return: () => {
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return iterator;
+  };
+
+  /**
+   * Iterate over the messages with `for await (const message of topic)`, see `messages`.
+   */
+  [Symbol.asyncIterator] = () => {
+    return this.messages();
+  };
+
+  /**
+   * Create the listener passing messages on to a callback as limited by the
+   * options of `subscribe`.
+   *
+   * @private
+   * @param callback - the callback
+   * @param options - the options of `subscribe`
+   */
+  _wrapCallback = (callback, options) => {
+    const minInterval = options.maxRate > 0 ? 1000 / options.maxRate : 0;
+    let count = 0;
+    let lastTime = null;
+    let timer = null;
+    const listener = (message) => {
+      if (options.filter && !options.filter(message)) {
+        return;
+      }
+      if (options.everyNth > 1 && count++ % options.everyNth !== 0) {
+        return;
+      }
+      if (minInterval) {
+        const now = Date.now();
+        if (lastTime !== null && now - lastTime < minInterval) {
+          return;
+        }
+        lastTime = now;
+      }
+      if (options.debounce > 0) {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timer = null;
+          callback(message);
+        }, options.debounce);
+        return;
+      }
+      callback(message);
+    };
+    listener.cancel = () => {
+      clearTimeout(timer);
+      timer = null;
+    };
+    return listener;
+  };
+
   /**
    * Unregisters as a subscriber for the topic. Unsubscribing stop remove
    * all subscribe callbacks. To remove a call back, you must explicitly
@@ -119,23 +434,44 @@ class Topic extends EventEmitter2 {
    */
   unsubscribe = (callback) => {
     if (callback) {
-      this.off('message', callback);
+      this.removeListener('message', callback);
+      (this._wrappedCallbacks.get(callback) || []).forEach((listener) => {
+        listener.cancel();
+        this.removeListener('message', listener);
+      });
+      this._wrappedCallbacks.delete(callback);
       // If there is any other callbacks still subscribed don't unsubscribe
       if (this.listeners('message').length) { return; }
     }
     if (!this.subscribeId) { return; }
     // Note: Don't call this.removeAllListeners, allow client to handle that themselves
-    this.ros.off(this.name, this._messageCallback);
+    this.ros.removeListener(this.name, this._messageCallback);
+    this.ros.removeListener('status:' + this.subscribeId, this._subscribeStatusCallback);
+    if (this._statsTimer !== null) {
+      clearInterval(this._statsTimer);
+      this._statsTimer = null;
+    }
+    if (this.statistics) {
+      this.statistics.reset();
+    }
+    this._latest = null;
+    // no debounced messages after unsubscribing
+    this._wrappedCallbacks.forEach((listeners) => {
+      listeners.forEach((listener) => {
+        listener.cancel();
+      });
+    });
     if(this.reconnect_on_close) {
-      this.ros.off('close', this.reconnectFunc);
+      this.ros.removeListener('close', this.reconnectFunc);
     }
-    this.emit('unsubscribe');
     this.ros.callOnConnection({
       op: 'unsubscribe',
       id: this.subscribeId,
       topic: this.name
     });
+    // unsubscribed before the listeners can react, as by unsubscribing again
     this.subscribeId = null;
+    this.emit('unsubscribe');
   };
 
 
@@ -146,7 +482,20 @@ class Topic extends EventEmitter2 {
     if (this.isAdvertised) {
       return;
     }
+    if (this.advertiseId) {
+      // drop the status listeners of an advertisement lost with the connection
+      this.ros.removeListener('status:' + this.advertiseId, this._advertiseStatusCallback);
+      this.ros.removeListener('status:' + this.publishId, this._publishStatusCallback);
+    }
     this.advertiseId = 'advertise:' + this.name + ':' + (++this.ros.idCounter);
+    // all publishes of this advertisement share an id, so their status can be
+    // tracked with a single listener
+    this.publishId = 'publish:' + this.name + ':' + (++this.ros.idCounter);
+
+    this.ros.on('status:' + this.advertiseId, this._advertiseStatusCallback);
+    this.ros.on('status:' + this.publishId, this._publishStatusCallback);
+    this.ros._ensureStatusLevel();
+
     this.callForSubscribeAndAdvertise({
       op: 'advertise',
       id: this.advertiseId,
@@ -171,8 +520,10 @@ class Topic extends EventEmitter2 {
     if (!this.isAdvertised) {
       return;
     }
+    this.ros.removeListener('status:' + this.advertiseId, this._advertiseStatusCallback);
+    this.ros.removeListener('status:' + this.publishId, this._publishStatusCallback);
     if(this.reconnect_on_close) {
-      this.ros.off('close', this.reconnectFunc);
+      this.ros.removeListener('close', this.reconnectFunc);
     }
     this.emit('unadvertise');
     this.ros.callOnConnection({
@@ -193,15 +544,14 @@ class Topic extends EventEmitter2 {
       this.advertise();
     }
 
-    this.ros.idCounter++;
     var call = {
       op: 'publish',
-      id: 'publish:' + this.name + ':' + this.ros.idCounter,
+      id: this.publishId,
       topic: this.name,
       msg: message,
       latch: this.latch
     };
-    this.ros.callOnConnection(call);
+    this.ros.callOnConnection(call, this.fragment_size);
   };
 }
 
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview
+ * Message statistics of a topic, like rostopic hz and bw.
+ */
+
+/**
+ * Keeps the arrival times and sizes of the messages of a topic over a sliding
+ * window and computes their rate and bandwidth.
+ *
+ * @private
+ * @constructor
+ * @param options - object with following keys:
+ *   * window - the time (in ms) of the sliding window (defaults to 10000)
+ *   * maxSamples - the maximum number of messages kept in the window (defaults to 10000)
+ */
+class TopicStatistics {
+  constructor(options) {
+    options = options || {};
+    this.window = options.window || 10000;
+    this.maxSamples = options.maxSamples || 10000;
+    this.samples = [];
+  }
+
+  /**
+   * Record the arrival of a message.
+   *
+   * @param size - the size of the message in bytes as received, undefined if unknown
+   * @param time (optional) - the arrival time in ms (defaults to now)
+   */
+  record = (size, time) => {
+    this.samples.push({
+      time: time !== undefined ? time : now(),
+      size: size
+    });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  };
+
+  /**
+   * Forget all recorded messages.
+   */
+  reset = () => {
+    this.samples = [];
+  };
+
+  /**
+   * Compute the statistics of the messages in the window.
+   *
+   * @param time (optional) - the current time in ms (defaults to now)
+   * @returns an object with the following keys:
+   *   * count - the number of messages in the window
+   *   * rate - {mean, min, max, stddev} of the message rate in Hz, the mean over the
+   *            window and the others of the rates given by the single intervals
+   *   * jitter - the standard deviation of the intervals between messages in seconds
+   *   * size - {mean, min, max} of the message sizes in bytes
+   *   * bandwidth - the received bytes per second
+   *   Values that can not be computed from the messages in the window are null.
+   */
+  compute = (time) => {
+    time = time !== undefined ? time : now();
+    while (this.samples.length && this.samples[0].time < time - this.window) {
+      this.samples.shift();
+    }
+    const samples = this.samples;
+
+    const rates = [];
+    const intervals = [];
+    for (let i = 1; i < samples.length; i++) {
+      const interval = (samples[i].time - samples[i - 1].time) / 1000;
+      intervals.push(interval);
+      if (interval > 0) {
+        rates.push(1 / interval);
+      }
+    }
+    const span = samples.length > 1 ? (samples[samples.length - 1].time - samples[0].time) / 1000 : 0;
+    const sizes = samples.filter((sample) => sample.size !== undefined).map((sample) => sample.size);
+    const totalSize = sizes.reduce((sum, size) => sum + size, 0);
+    // the bytes received from the first message on
+    const elapsed = samples.length ? (time - samples[0].time) / 1000 : 0;
+
+    return {
+      count: samples.length,
+      rate: {
+        mean: span > 0 ? intervals.length / span : null,
+        min: rates.length ? Math.min.apply(null, rates) : null,
+        max: rates.length ? Math.max.apply(null, rates) : null,
+        stddev: rates.length ? stddev(rates) : null
+      },
+      jitter: intervals.length ? stddev(intervals) : null,
+      size: {
+        mean: sizes.length ? totalSize / sizes.length : null,
+        min: sizes.length ? Math.min.apply(null, sizes) : null,
+        max: sizes.length ? Math.max.apply(null, sizes) : null
+      },
+      bandwidth: sizes.length && elapsed > 0 ? totalSize / elapsed : null
+    };
+  };
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function stddev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+export default TopicStatistics;
@@ -4,6 +4,7 @@ import Ros from './Ros';
 import Topic from './Topic';
 import Message from './Message';
 import Param from './Param';
+import RosError from './RosError';
 import Service from './Service';
 import ServiceRequest from './ServiceRequest';
 import ServiceResponse from './ServiceResponse';
@@ -13,6 +14,7 @@ const core = {
     Topic,
     Message,
     Param,
+    RosError,
     Service,
     ServiceRequest,
     ServiceResponse
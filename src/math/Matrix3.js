@@ -0,0 +1,106 @@
+/**
+ * @fileOverview
+ * 3x3 matrices.
+ */
+
+import Vector3 from './Vector3';
+
+/**
+ * A 3x3 matrix, like a rotation matrix.
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * elements - the 9 values of the matrix in row-major order, default: the identity
+ */
+class Matrix3 {
+  constructor(options) {
+    options = options || {};
+    this.elements = options.elements ? options.elements.slice() : [
+      1, 0, 0,
+      0, 1, 0,
+      0, 0, 1
+    ];
+  }
+
+  /**
+   * Set the values of this matrix to the product of itself and the given matrix.
+   *
+   * @param m the matrix to multiply with, on the right
+   */
+  multiply = (m) => {
+    const a = this.elements;
+    const b = m.elements;
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        result.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+      }
+    }
+    this.elements = result;
+  };
+
+  /**
+   * Return the determinant of this matrix.
+   */
+  determinant = () => {
+    const e = this.elements;
+    return e[0] * (e[4] * e[8] - e[5] * e[7]) -
+      e[1] * (e[3] * e[8] - e[5] * e[6]) +
+      e[2] * (e[3] * e[7] - e[4] * e[6]);
+  };
+
+  /**
+   * Convert this matrix into its transpose.
+   */
+  transpose = () => {
+    const e = this.elements;
+    this.elements = [
+      e[0], e[3], e[6],
+      e[1], e[4], e[7],
+      e[2], e[5], e[8]
+    ];
+  };
+
+  /**
+   * Convert this matrix into its inverse.
+   */
+  invert = () => {
+    const e = this.elements;
+    const det = this.determinant();
+    if (det === 0) {
+      throw new Error('Cannot invert a singular matrix');
+    }
+    const d = 1 / det;
+    this.elements = [
+      (e[4] * e[8] - e[5] * e[7]) * d, (e[2] * e[7] - e[1] * e[8]) * d, (e[1] * e[5] - e[2] * e[4]) * d,
+      (e[5] * e[6] - e[3] * e[8]) * d, (e[0] * e[8] - e[2] * e[6]) * d, (e[2] * e[3] - e[0] * e[5]) * d,
+      (e[3] * e[7] - e[4] * e[6]) * d, (e[1] * e[6] - e[0] * e[7]) * d, (e[0] * e[4] - e[1] * e[3]) * d
+    ];
+  };
+
+  /**
+   * Multiply this matrix with a vector, without altering the vector.
+   *
+   * @param v the vector to multiply
+   * @returns the product as a new Vector3
+   */
+  multiplyVector3 = (v) => {
+    const e = this.elements;
+    return new Vector3({
+      x: e[0] * v.x + e[1] * v.y + e[2] * v.z,
+      y: e[3] * v.x + e[4] * v.y + e[5] * v.z,
+      z: e[6] * v.x + e[7] * v.y + e[8] * v.z
+    });
+  };
+
+  /**
+   * Clone a copy of this matrix.
+   *
+   * @returns the cloned matrix
+   */
+  clone = () => {
+    return new Matrix3(this);
+  };
+}
+
+export default Matrix3;
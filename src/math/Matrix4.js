@@ -0,0 +1,136 @@
+/**
+ * @fileOverview
+ * 4x4 matrices.
+ */
+
+import Vector3 from './Vector3';
+
+/**
+ * A 4x4 matrix, like a homogeneous transformation matrix.
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * elements - the 16 values of the matrix in row-major order, default: the identity
+ */
+class Matrix4 {
+  constructor(options) {
+    options = options || {};
+    this.elements = options.elements ? options.elements.slice() : [
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ];
+  }
+
+  /**
+   * Set the values of this matrix to the product of itself and the given matrix.
+   *
+   * @param m the matrix to multiply with, on the right
+   */
+  multiply = (m) => {
+    const a = this.elements;
+    const b = m.elements;
+    const result = [];
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+          sum += a[row * 4 + k] * b[k * 4 + col];
+        }
+        result.push(sum);
+      }
+    }
+    this.elements = result;
+  };
+
+  /**
+   * Convert this matrix into its transpose.
+   */
+  transpose = () => {
+    const e = this.elements;
+    const result = [];
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) {
+        result.push(e[col * 4 + row]);
+      }
+    }
+    this.elements = result;
+  };
+
+  /**
+   * Convert this matrix into its inverse, by Gauss-Jordan elimination.
+   */
+  invert = () => {
+    const a = this.elements.slice();
+    const inverse = new Matrix4().elements;
+    for (let col = 0; col < 4; col++) {
+      // pick the largest pivot for numerical stability
+      let pivot = col;
+      for (let row = col + 1; row < 4; row++) {
+        if (Math.abs(a[row * 4 + col]) > Math.abs(a[pivot * 4 + col])) {
+          pivot = row;
+        }
+      }
+      if (a[pivot * 4 + col] === 0) {
+        throw new Error('Cannot invert a singular matrix');
+      }
+      swapRows(a, col, pivot);
+      swapRows(inverse, col, pivot);
+
+      const scale = 1 / a[col * 4 + col];
+      for (let k = 0; k < 4; k++) {
+        a[col * 4 + k] *= scale;
+        inverse[col * 4 + k] *= scale;
+      }
+      for (let row = 0; row < 4; row++) {
+        const factor = a[row * 4 + col];
+        if (row !== col && factor !== 0) {
+          for (let k = 0; k < 4; k++) {
+            a[row * 4 + k] -= factor * a[col * 4 + k];
+            inverse[row * 4 + k] -= factor * inverse[col * 4 + k];
+          }
+        }
+      }
+    }
+    this.elements = inverse;
+  };
+
+  /**
+   * Transform a point with this matrix, without altering the point.
+   *
+   * @param v the point to transform
+   * @returns the transformed point as a new Vector3
+   */
+  applyToPoint = (v) => {
+    const e = this.elements;
+    const w = e[12] * v.x + e[13] * v.y + e[14] * v.z + e[15];
+    return new Vector3({
+      x: (e[0] * v.x + e[1] * v.y + e[2] * v.z + e[3]) / w,
+      y: (e[4] * v.x + e[5] * v.y + e[6] * v.z + e[7]) / w,
+      z: (e[8] * v.x + e[9] * v.y + e[10] * v.z + e[11]) / w
+    });
+  };
+
+  /**
+   * Clone a copy of this matrix.
+   *
+   * @returns the cloned matrix
+   */
+  clone = () => {
+    return new Matrix4(this);
+  };
+}
+
+function swapRows(elements, i, j) {
+  if (i === j) {
+    return;
+  }
+  for (let k = 0; k < 4; k++) {
+    const tmp = elements[i * 4 + k];
+    elements[i * 4 + k] = elements[j * 4 + k];
+    elements[j * 4 + k] = tmp;
+  }
+}
+
+export default Matrix4;
@@ -35,6 +35,41 @@ class Pose{
     this.orientation = tmp;
   };
 
+  /**
+   * Compute the distance between the position of this pose and the one of the given pose.
+   *
+   * @param pose the pose to measure the distance to
+   * @returns the distance
+   */
+  distanceTo = (pose) => {
+    return this.position.distanceTo(pose.position);
+  };
+
+  /**
+   * Set this pose to the interpolation between itself and the given pose, linearly
+   * for the position and spherically for the orientation.
+   *
+   * @param pose the pose to interpolate towards
+   * @param alpha the interpolation factor, 0 keeps this pose and 1 gives pose
+   */
+  interpolate = (pose, alpha) => {
+    this.position.lerp(pose.position, alpha);
+    this.orientation.slerp(pose.orientation, alpha);
+  };
+
+  /**
+   * Transform a point given in the frame of this pose, without altering the point.
+   *
+   * @param point the Vector3 to transform
+   * @returns the transformed point as a new Vector3
+   */
+  applyToPoint = (point) => {
+    const p = new Vector3(point);
+    p.multiplyQuaternion(this.orientation);
+    p.add(this.position);
+    return p;
+  };
+
   /**
    * Clone a copy of this pose.
    *
@@ -69,6 +104,18 @@ class Pose{
     inverse.position.z *= -1;
     return inverse;
   };
+
+  /**
+   * Interpolate between two poses without altering them.
+   *
+   * @param alpha the interpolation factor, 0 gives a and 1 gives b
+   * @returns the interpolated pose as a new pose
+   */
+  static interpolate(a, b, alpha) {
+    const pose = new Pose(a);
+    pose.interpolate(b, alpha);
+    return pose;
+  }
 }
 
 export default Pose;
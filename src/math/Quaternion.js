@@ -3,6 +3,57 @@
  * @author David Gossow - dgossow@willowgarage.com
  */
 
+import Vector3 from './Vector3';
+
+/**
+ * The Euler angles of a rotation matrix (row-major, 0-indexed) for each axis
+ * order. In gimbal lock the last rotation is set to zero.
+ *
+ * @private
+ */
+const eulerFromMatrix = {
+  XYZ: (m) => {
+    const y = Math.asin(clamp(m[2]));
+    return Math.abs(m[2]) < 0.9999999 ?
+      { roll: Math.atan2(-m[5], m[8]), pitch: y, yaw: Math.atan2(-m[1], m[0]) } :
+      { roll: Math.atan2(m[7], m[4]), pitch: y, yaw: 0 };
+  },
+  YXZ: (m) => {
+    const x = Math.asin(-clamp(m[5]));
+    return Math.abs(m[5]) < 0.9999999 ?
+      { roll: x, pitch: Math.atan2(m[2], m[8]), yaw: Math.atan2(m[3], m[4]) } :
+      { roll: x, pitch: Math.atan2(-m[6], m[0]), yaw: 0 };
+  },
+  ZXY: (m) => {
+    const x = Math.asin(clamp(m[7]));
+    return Math.abs(m[7]) < 0.9999999 ?
+      { roll: x, pitch: Math.atan2(-m[6], m[8]), yaw: Math.atan2(-m[1], m[4]) } :
+      { roll: x, pitch: 0, yaw: Math.atan2(m[3], m[0]) };
+  },
+  ZYX: (m) => {
+    const y = Math.asin(-clamp(m[6]));
+    return Math.abs(m[6]) < 0.9999999 ?
+      { roll: Math.atan2(m[7], m[8]), pitch: y, yaw: Math.atan2(m[3], m[0]) } :
+      { roll: 0, pitch: y, yaw: Math.atan2(-m[1], m[4]) };
+  },
+  YZX: (m) => {
+    const z = Math.asin(clamp(m[3]));
+    return Math.abs(m[3]) < 0.9999999 ?
+      { roll: Math.atan2(-m[5], m[4]), pitch: Math.atan2(-m[6], m[0]), yaw: z } :
+      { roll: 0, pitch: Math.atan2(m[2], m[8]), yaw: z };
+  },
+  XZY: (m) => {
+    const z = Math.asin(-clamp(m[1]));
+    return Math.abs(m[1]) < 0.9999999 ?
+      { roll: Math.atan2(m[7], m[4]), pitch: Math.atan2(m[2], m[0]), yaw: z } :
+      { roll: Math.atan2(-m[5], m[8]), pitch: 0, yaw: z };
+  }
+};
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
 /**
  * A Quaternion.
  *
@@ -81,6 +132,113 @@ class Quaternion {
     this.w = newW;
   };
 
+  /**
+   * Set the values of this quaternion to the spherical linear interpolation
+   * between itself and the given quaternion, along the shortest path.
+   *
+   * @param q the quaternion to interpolate towards
+   * @param t the interpolation factor, 0 keeps this quaternion and 1 gives q
+   */
+  slerp = (q, t) => {
+    let cosHalfTheta = this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    // q and -q are the same rotation, take the one closer to this quaternion
+    const sign = cosHalfTheta < 0 ? -1 : 1;
+    cosHalfTheta *= sign;
+
+    let ratioA = 1 - t;
+    let ratioB = t;
+    // for nearly equal rotations sin(theta) vanishes, fall back to a linear interpolation
+    if (cosHalfTheta < 0.9995) {
+      const halfTheta = Math.acos(cosHalfTheta);
+      const sinHalfTheta = Math.sin(halfTheta);
+      ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+      ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+    }
+    ratioB *= sign;
+
+    this.x = this.x * ratioA + q.x * ratioB;
+    this.y = this.y * ratioA + q.y * ratioB;
+    this.z = this.z * ratioA + q.z * ratioB;
+    this.w = this.w * ratioA + q.w * ratioB;
+    this.normalize();
+  };
+
+  /**
+   * Convert this quaternion into Euler angles.
+   *
+   * @param order (optional) - the order of the rotations, see Quaternion.fromEuler, default: 'ZYX'
+   * @returns an object with the roll, pitch and yaw angles (in radians) around x, y and z
+   */
+  toEuler = (order) => {
+    order = order || 'ZYX';
+    if (!eulerFromMatrix[order]) {
+      throw new Error('Unknown rotation order ' + order);
+    }
+    return eulerFromMatrix[order](this.toRotationMatrix());
+  };
+
+  /**
+   * Convert this quaternion into a rotation around an axis.
+   *
+   * @returns an object with the unit axis as Vector3 and the angle (in radians, from 0 to 2 pi)
+   */
+  toAxisAngle = () => {
+    const q = this.clone();
+    q.normalize();
+    const angle = 2 * Math.acos(clamp(q.w));
+    const s = Math.sqrt(1 - q.w * q.w);
+    if (s < 1e-9) {
+      // no rotation, any axis will do
+      return { axis: new Vector3({ x: 1 }), angle: 0 };
+    }
+    return {
+      axis: new Vector3({ x: q.x / s, y: q.y / s, z: q.z / s }),
+      angle: angle
+    };
+  };
+
+  /**
+   * Convert this quaternion into a rotation matrix.
+   *
+   * @returns the 3x3 rotation matrix as a row-major array of 9 numbers
+   */
+  toRotationMatrix = () => {
+    const q = this.clone();
+    q.normalize();
+    const x = q.x, y = q.y, z = q.z, w = q.w;
+    return [
+      1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w),
+      2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w),
+      2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)
+    ];
+  };
+
+  /**
+   * Get the angle of the rotation from this quaternion to the given one.
+   *
+   * @param q the quaternion to measure the angle to
+   * @returns the angle in radians, from 0 to pi
+   */
+  angleTo = (q) => {
+    const dot = (this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w) / (this.norm() * q.norm());
+    return 2 * Math.acos(clamp(Math.abs(dot)));
+  };
+
+  /**
+   * Check whether the values of this quaternion equal the ones of the given quaternion.
+   *
+   * @param q the quaternion to compare with
+   * @param tolerance (optional) - the largest difference allowed per value, default: 0
+   * @returns true if all values are within the tolerance
+   */
+  equals = (q, tolerance) => {
+    tolerance = tolerance || 0;
+    return Math.abs(this.x - q.x) <= tolerance &&
+      Math.abs(this.y - q.y) <= tolerance &&
+      Math.abs(this.z - q.z) <= tolerance &&
+      Math.abs(this.w - q.w) <= tolerance;
+  };
+
   /**
    * Clone a copy of this quaternion.
    *
@@ -89,6 +247,84 @@ class Quaternion {
   clone = () => {
     return new Quaternion(this);
   };
+
+  /**
+   * Create a quaternion from Euler angles.
+   *
+   * @param roll - the rotation around x in radians
+   * @param pitch - the rotation around y in radians
+   * @param yaw - the rotation around z in radians
+   * @param order (optional) - the order the rotations are applied in, about the rotating axes
+   *   (as in three.js), like 'XYZ'. The default 'ZYX' is the roll, pitch, yaw convention of ROS
+   *   and URDF, which applies roll first when rotating about the fixed axes
+   * @returns the quaternion
+   */
+  static fromEuler(roll, pitch, yaw, order) {
+    order = order || 'ZYX';
+    if (!eulerFromMatrix[order]) {
+      throw new Error('Unknown rotation order ' + order);
+    }
+    const rotations = {
+      X: Quaternion.fromAxisAngle({ x: 1, y: 0, z: 0 }, roll),
+      Y: Quaternion.fromAxisAngle({ x: 0, y: 1, z: 0 }, pitch),
+      Z: Quaternion.fromAxisAngle({ x: 0, y: 0, z: 1 }, yaw)
+    };
+    const q = rotations[order[0]];
+    q.multiply(rotations[order[1]]);
+    q.multiply(rotations[order[2]]);
+    return q;
+  }
+
+  /**
+   * Create a quaternion from a rotation around an axis.
+   *
+   * @param axis - the axis to rotate around, like a Vector3, need not be normalized
+   * @param angle - the angle in radians
+   * @returns the quaternion
+   */
+  static fromAxisAngle(axis, angle) {
+    const length = Math.sqrt(axis.x * axis.x + axis.y * axis.y + axis.z * axis.z);
+    if (length === 0) {
+      return new Quaternion();
+    }
+    const s = Math.sin(angle / 2) / length;
+    return new Quaternion({
+      x: axis.x * s,
+      y: axis.y * s,
+      z: axis.z * s,
+      w: Math.cos(angle / 2)
+    });
+  }
+
+  /**
+   * Create a quaternion from a rotation matrix.
+   *
+   * @param matrix - the 3x3 rotation matrix as a row-major array of 9 numbers, or an
+   *   object with such an array as `elements`
+   * @returns the quaternion
+   */
+  static fromRotationMatrix(matrix) {
+    const m = matrix.elements || matrix;
+    const trace = m[0] + m[4] + m[8];
+    let s;
+    let q;
+    if (trace > 0) {
+      s = 0.5 / Math.sqrt(trace + 1);
+      q = { w: 0.25 / s, x: (m[7] - m[5]) * s, y: (m[2] - m[6]) * s, z: (m[3] - m[1]) * s };
+    } else if (m[0] > m[4] && m[0] > m[8]) {
+      s = 2 * Math.sqrt(1 + m[0] - m[4] - m[8]);
+      q = { w: (m[7] - m[5]) / s, x: 0.25 * s, y: (m[1] + m[3]) / s, z: (m[2] + m[6]) / s };
+    } else if (m[4] > m[8]) {
+      s = 2 * Math.sqrt(1 + m[4] - m[0] - m[8]);
+      q = { w: (m[2] - m[6]) / s, x: (m[1] + m[3]) / s, y: 0.25 * s, z: (m[5] + m[7]) / s };
+    } else {
+      s = 2 * Math.sqrt(1 + m[8] - m[0] - m[4]);
+      q = { w: (m[3] - m[1]) / s, x: (m[2] + m[6]) / s, y: (m[5] + m[7]) / s, z: 0.25 * s };
+    }
+    const quaternion = new Quaternion(q);
+    quaternion.normalize();
+    return quaternion;
+  }
 }
 
 export default Quaternion;
@@ -5,6 +5,8 @@
 
 import Vector3 from './Vector3';
 import Quaternion from './Quaternion';
+import Pose from './Pose';
+import Matrix4 from './Matrix4';
 
 /**
  * A Transform in 3-space. Values are copied into this object.
@@ -22,6 +24,94 @@ class Transform {
     this.rotation = new Quaternion(options.rotation);
   }
 
+  /**
+   * Compose this transform with the given one, without altering either. The result
+   * applies tf first and this transform second, like the product of their matrices.
+   *
+   * @param tf the transform to multiply with, on the right
+   * @returns the composed transform
+   */
+  multiply = (tf) => {
+    const translation = new Vector3(tf.translation);
+    translation.multiplyQuaternion(this.rotation);
+    translation.add(this.translation);
+    const rotation = this.rotation.clone();
+    rotation.multiply(tf.rotation);
+    rotation.normalize();
+    return new Transform({
+      translation: translation,
+      rotation: rotation
+    });
+  };
+
+  /**
+   * Compute the inverse of this transform, without altering it.
+   *
+   * @returns the inverse transform
+   */
+  inverse = () => {
+    const rotation = this.rotation.clone();
+    rotation.invert();
+    const translation = new Vector3(this.translation);
+    translation.multiplyQuaternion(rotation);
+    translation.multiplyScalar(-1);
+    return new Transform({
+      translation: translation,
+      rotation: rotation
+    });
+  };
+
+  /**
+   * Apply this transform to a point or a pose, without altering it.
+   *
+   * @param target the Vector3 or ROSLIB.Pose to transform
+   * @returns the transformed Vector3 or ROSLIB.Pose
+   */
+  apply = (target) => {
+    if (target.position) {
+      const pose = new Pose(target);
+      pose.applyTransform(this);
+      return pose;
+    }
+    const point = new Vector3(target);
+    point.multiplyQuaternion(this.rotation);
+    point.add(this.translation);
+    return point;
+  };
+
+  /**
+   * Convert this transform into a homogeneous transformation matrix.
+   *
+   * @returns the ROSLIB.Matrix4
+   */
+  toMatrix4 = () => {
+    const r = this.rotation.toRotationMatrix();
+    const t = this.translation;
+    return new Matrix4({
+      elements: [
+        r[0], r[1], r[2], t.x,
+        r[3], r[4], r[5], t.y,
+        r[6], r[7], r[8], t.z,
+        0, 0, 0, 1
+      ]
+    });
+  };
+
+  /**
+   * Interpolate between this transform and the given one, linearly for the
+   * translation and spherically for the rotation, without altering this transform.
+   *
+   * @param tf the transform to interpolate towards
+   * @param alpha the interpolation factor, 0 gives this transform and 1 gives tf
+   * @returns the interpolated transform
+   */
+  interpolate = (tf, alpha) => {
+    const result = this.clone();
+    result.translation.lerp(tf.translation, alpha);
+    result.rotation.slerp(tf.rotation, alpha);
+    return result;
+  };
+
   /**
    * Clone a copy of this transform.
    *
@@ -30,6 +120,24 @@ class Transform {
   clone = () => {
     return new Transform(this);
   };
+
+  /**
+   * Create a transform from a homogeneous transformation matrix without scaling.
+   *
+   * @param matrix the ROSLIB.Matrix4
+   * @returns the transform
+   */
+  static fromMatrix4(matrix) {
+    const e = matrix.elements;
+    return new Transform({
+      translation: { x: e[3], y: e[7], z: e[11] },
+      rotation: Quaternion.fromRotationMatrix([
+        e[0], e[1], e[2],
+        e[4], e[5], e[6],
+        e[8], e[9], e[10]
+      ])
+    });
+  }
 }
 
 export default Transform;
@@ -42,6 +42,71 @@ class Vector3 {
     this.z -= v.z;
   };
 
+  /**
+   * Set the values of this vector to the cross product of itself and the given vector.
+   *
+   * @param v the vector to multiply with
+   */
+  cross = (v) => {
+    const x = this.y * v.z - this.z * v.y;
+    const y = this.z * v.x - this.x * v.z;
+    const z = this.x * v.y - this.y * v.x;
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  };
+
+  /**
+   * Multiply the values of this vector with a scalar.
+   *
+   * @param s the scalar to multiply with
+   */
+  multiplyScalar = (s) => {
+    this.x *= s;
+    this.y *= s;
+    this.z *= s;
+  };
+
+  /**
+   * Scale this vector to a length of one. A zero vector is left as it is.
+   */
+  normalize = () => {
+    const l = this.length();
+    if (l !== 0) {
+      this.multiplyScalar(1 / l);
+    }
+  };
+
+  /**
+   * Compute the dot product of this vector and the given vector.
+   *
+   * @param v the vector to multiply with
+   * @returns the dot product
+   */
+  dot = (v) => {
+    return this.x * v.x + this.y * v.y + this.z * v.z;
+  };
+
+  /**
+   * Return the length of this vector.
+   */
+  length = () => {
+    return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+  };
+
+  /**
+   * Compute the distance between this vector and the given vector, as points.
+   *
+   * @param v the vector to measure the distance to
+   * @returns the distance
+   */
+  distanceTo = (v) => {
+    const dx = this.x - v.x;
+    const dy = this.y - v.y;
+    const dz = this.z - v.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  };
+
   /**
    * Multiply the given Quaternion with this vector.
    *
@@ -57,6 +122,19 @@ class Vector3 {
     this.z = iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x;
   };
 
+  /**
+   * Set the values of this vector to the linear interpolation between itself
+   * and the given vector.
+   *
+   * @param v the vector to interpolate towards
+   * @param alpha the interpolation factor, 0 keeps this vector and 1 gives v
+   */
+  lerp = (v, alpha) => {
+    this.x += (v.x - this.x) * alpha;
+    this.y += (v.y - this.y) * alpha;
+    this.z += (v.z - this.z) * alpha;
+  };
+
   /**
    * Clone a copy of this vector.
    *
@@ -65,6 +143,73 @@ class Vector3 {
   clone = () => {
     return new Vector3(this);
   };
+
+  /**
+   * Add two vectors without altering them.
+   *
+   * @returns the sum as a new vector
+   */
+  static add(a, b) {
+    const v = new Vector3(a);
+    v.add(b);
+    return v;
+  }
+
+  /**
+   * Subtract vector b from vector a without altering them.
+   *
+   * @returns the difference as a new vector
+   */
+  static subtract(a, b) {
+    const v = new Vector3(a);
+    v.subtract(b);
+    return v;
+  }
+
+  /**
+   * Compute the cross product of two vectors without altering them.
+   *
+   * @returns the cross product as a new vector
+   */
+  static cross(a, b) {
+    const v = new Vector3(a);
+    v.cross(b);
+    return v;
+  }
+
+  /**
+   * Multiply a vector with a scalar without altering it.
+   *
+   * @returns the scaled vector as a new vector
+   */
+  static multiplyScalar(a, s) {
+    const v = new Vector3(a);
+    v.multiplyScalar(s);
+    return v;
+  }
+
+  /**
+   * Normalize a vector without altering it.
+   *
+   * @returns the unit vector as a new vector
+   */
+  static normalize(a) {
+    const v = new Vector3(a);
+    v.normalize();
+    return v;
+  }
+
+  /**
+   * Linearly interpolate between two vectors without altering them.
+   *
+   * @param alpha the interpolation factor, 0 gives a and 1 gives b
+   * @returns the interpolated vector as a new vector
+   */
+  static lerp(a, b, alpha) {
+    const v = new Vector3(a);
+    v.lerp(b, alpha);
+    return v;
+  }
 }
 
 export default Vector3;
@@ -1,9 +1,13 @@
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
 import Pose from './Pose';
 import Quaternion from './Quaternion';
 import Transform from './Transform';
 import Vector3 from './Vector3';
 
 export default {
+    Matrix3,
+    Matrix4,
     Pose,
     Quaternion,
     Transform,
@@ -0,0 +1,90 @@
+/**
+ * @fileOverview
+ * Synchronization of messages with approximately the same stamp.
+ */
+
+import TimeSynchronizer from './TimeSynchronizer';
+
+/**
+ * Synchronizes the messages of several topics whose header.stamp differ by at
+ * most `slop` seconds, like the ApproximateTimeSynchronizer of ROS
+ * message_filters (as in rospy). For every new message, the messages of the
+ * other topics within the slop are tried, closest first, and the first set
+ * whose stamps all lie within the slop is emitted.
+ *
+ * Emits the following events:
+ *  * 'message' - the array of synchronized messages, in the order of the topics
+ *  * 'warning' - if a message without a header can not be synchronized
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * topics - the ROSLIB.Topic instances to synchronize, or other filters like ROSLIB.Cache
+ *   * slop - the maximum difference (in seconds) between the stamps of synchronized messages
+ *   * queueSize (optional) - the number of messages kept per topic, default: 10
+ *   * allowHeaderless (optional) - whether to use the receive time for messages without a header, default: false
+ */
+class ApproximateTimeSynchronizer extends TimeSynchronizer {
+  constructor(options) {
+    super(options);
+    options = options || {};
+    this.slop = options.slop || 0;
+  }
+
+  /**
+   * Emit the closest messages of the other topics that lie within the slop of
+   * the new message.
+   *
+   * @private
+   * @param index - the topic of the new message
+   * @param stamp - the stamp of the new message
+   */
+  _process(index, stamp) {
+    // the candidates of every other topic, closest first
+    const candidates = [];
+    for (let i = 0; i < this.queues.length; i++) {
+      if (i === index) {
+        continue;
+      }
+      const close = Array.from(this.queues[i].keys()).filter((key) => {
+        return Math.abs(this.queues[i].get(key).time - stamp.time) <= this.slop;
+      }).sort((a, b) => {
+        return Math.abs(this.queues[i].get(a).time - stamp.time) - Math.abs(this.queues[i].get(b).time - stamp.time);
+      });
+      if (!close.length) {
+        return;
+      }
+      candidates.push({ queue: i, keys: close });
+    }
+
+    // try the combinations in order, the first topics varying slowest
+    const keys = [];
+    const search = (depth) => {
+      if (depth === candidates.length) {
+        const chosen = this.queues.map((queue, i) => {
+          return i === index ? stamp.key : keys[candidates.findIndex((candidate) => candidate.queue === i)];
+        });
+        const times = chosen.map((key, i) => this.queues[i].get(key).time);
+        return Math.max.apply(null, times) - Math.min.apply(null, times) <= this.slop ? chosen : null;
+      }
+      for (let k = 0; k < candidates[depth].keys.length; k++) {
+        keys[depth] = candidates[depth].keys[k];
+        const found = search(depth + 1);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    const chosen = search(0);
+    if (!chosen) {
+      return;
+    }
+    const messages = chosen.map((key, i) => this.queues[i].get(key).message);
+    chosen.forEach((key, i) => {
+      this.queues[i].delete(key);
+    });
+    this.emit('message', messages);
+  }
+}
+
+export default ApproximateTimeSynchronizer;
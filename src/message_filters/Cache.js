@@ -0,0 +1,178 @@
+/**
+ * @fileOverview
+ * A time ordered history of messages.
+ */
+
+import EventEmitter2 from 'events';
+import toSeconds from '../util/toSeconds';
+import { stampOf } from './TimeSynchronizer';
+
+/**
+ * Keeps the most recent messages of a topic ordered by their header.stamp,
+ * like the Cache of ROS message_filters. Messages are passed on, so a cache
+ * can be the input of a synchronizer.
+ *
+ * Times are given as ROS times like {secs, nsecs} or {sec, nanosec}, or in seconds.
+ *
+ * Emits the following events:
+ *  * 'message' - every message added to the cache
+ *  * 'warning' - if a message without a header can not be cached
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * topic (optional) - the ROSLIB.Topic to cache the messages of, messages can also be added with `add`
+ *   * cacheSize (optional) - the number of messages kept, default: 1
+ *   * allowHeaderless (optional) - whether to use the receive time for messages without a header, default: false
+ */
+class Cache extends EventEmitter2 {
+  constructor(options) {
+    super();
+    options = options || {};
+    this.topic = options.topic || null;
+    this.cacheSize = options.cacheSize || 1;
+    this.allowHeaderless = options.allowHeaderless || false;
+    // oldest first
+    this.entries = [];
+    if (this.topic) {
+      this.topic.subscribe(this.add);
+    }
+  }
+
+  /**
+   * Add a message to the cache, dropping the oldest one if it is full. Messages
+   * without a header are dropped unless allowHeaderless is set.
+   *
+   * @param message - the message
+   */
+  add = (message) => {
+    const stamp = stampOf(message, this.allowHeaderless);
+    if (!stamp) {
+      this.emit('warning', 'Cannot cache a message without a header');
+      return;
+    }
+    let idx = this.entries.length;
+    while (idx > 0 && this.entries[idx - 1].time > stamp.time) {
+      idx--;
+    }
+    this.entries.splice(idx, 0, {
+      time: stamp.time,
+      message: message
+    });
+    if (this.entries.length > this.cacheSize) {
+      this.entries.shift();
+    }
+    this.emit('message', message);
+  };
+
+  /**
+   * Get the messages from start to end, both included.
+   *
+   * @param start - the start time
+   * @param end - the end time
+   * @returns the array of messages, oldest first
+   */
+  getInterval = (start, end) => {
+    start = toSeconds(start);
+    end = toSeconds(end);
+    return this.entries.filter((entry) => entry.time >= start && entry.time <= end).map((entry) => entry.message);
+  };
+
+  /**
+   * Get the smallest interval of messages surrounding start to end, so with the
+   * latest message at or before start and the earliest at or after end. If the
+   * cache does not reach that far, the interval is as close as possible.
+   *
+   * @param start - the start time
+   * @param end - the end time
+   * @returns the array of messages, oldest first
+   */
+  getSurroundingInterval = (start, end) => {
+    start = toSeconds(start);
+    end = toSeconds(end);
+    let first = 0;
+    this.entries.forEach((entry, i) => {
+      if (entry.time <= start) {
+        first = i;
+      }
+    });
+    let last = this.entries.length - 1;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].time >= end) {
+        last = i;
+      }
+    }
+    return this.entries.slice(first, last + 1).map((entry) => entry.message);
+  };
+
+  /**
+   * Get the latest message at or before the given time.
+   *
+   * @param time - the time
+   * @returns the message, or null if there is none
+   */
+  getElemBeforeTime = (time) => {
+    time = toSeconds(time);
+    const before = this.entries.filter((entry) => entry.time <= time);
+    return before.length ? before[before.length - 1].message : null;
+  };
+
+  /**
+   * Get the earliest message at or after the given time.
+   *
+   * @param time - the time
+   * @returns the message, or null if there is none
+   */
+  getElemAfterTime = (time) => {
+    time = toSeconds(time);
+    const after = this.entries.filter((entry) => entry.time >= time);
+    return after.length ? after[0].message : null;
+  };
+
+  /**
+   * @returns the stamp of the oldest message in seconds, or null if the cache is empty
+   */
+  getOldestTime = () => {
+    return this.entries.length ? this.entries[0].time : null;
+  };
+
+  /**
+   * @returns the stamp of the latest message in seconds, or null if the cache is empty
+   */
+  getLatestTime = () => {
+    return this.entries.length ? this.entries[this.entries.length - 1].time : null;
+  };
+
+  /**
+   * Call back with every message added to the cache.
+   *
+   * @param callback - function with params:
+   *   * message - the message
+   */
+  subscribe = (callback) => {
+    this.on('message', callback);
+  };
+
+  /**
+   * Stop calling back.
+   *
+   * @param callback - the callback to remove, all if not given
+   */
+  unsubscribe = (callback) => {
+    if (callback) {
+      this.removeListener('message', callback);
+    } else {
+      this.removeAllListeners('message');
+    }
+  };
+
+  /**
+   * Unsubscribe from the topic.
+   */
+  dispose = () => {
+    if (this.topic) {
+      this.topic.unsubscribe(this.add);
+    }
+  };
+}
+
+export default Cache;
@@ -0,0 +1,176 @@
+/**
+ * @fileOverview
+ * Synchronization of messages with exactly the same stamp.
+ */
+
+import EventEmitter2 from 'events';
+import toSeconds, { secsAndNsecs } from '../util/toSeconds';
+
+/**
+ * Synchronizes the messages of several topics by their header.stamp, like the
+ * TimeSynchronizer of ROS message_filters. Once every topic received a message
+ * with the same stamp, the messages are emitted together, and older messages
+ * that can no longer be matched are dropped.
+ *
+ * Emits the following events:
+ *  * 'message' - the array of synchronized messages, in the order of the topics
+ *  * 'warning' - if a message without a header can not be synchronized
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * topics - the ROSLIB.Topic instances to synchronize, or other filters like ROSLIB.Cache
+ *   * queueSize (optional) - the number of messages kept per topic, default: 10
+ *   * allowHeaderless (optional) - whether to use the receive time for messages without a header, default: false
+ */
+class TimeSynchronizer extends EventEmitter2 {
+  constructor(options) {
+    super();
+    options = options || {};
+    this.topics = options.topics || [];
+    this.queueSize = options.queueSize || 10;
+    this.allowHeaderless = options.allowHeaderless || false;
+    // per topic: the received messages by their stamp
+    this.queues = this.topics.map(() => new Map());
+    // the callbacks subscribed to the topics, while subscribed
+    this._callbacks = null;
+  }
+
+  /**
+   * Add a message of one of the topics.
+   *
+   * @param message - the message
+   * @param index - the index of its topic
+   */
+  add = (message, index) => {
+    const stamp = stampOf(message, this.allowHeaderless);
+    if (!stamp) {
+      this.emit('warning', 'Cannot synchronize a message without a header on topic ' + index);
+      return;
+    }
+    const queue = this.queues[index];
+    queue.set(stamp.key, {
+      time: stamp.time,
+      message: message
+    });
+    while (queue.size > this.queueSize) {
+      queue.delete(oldestKey(queue));
+    }
+    // older than everything in a full queue
+    if (!queue.has(stamp.key)) {
+      return;
+    }
+    this._process(index, stamp);
+  };
+
+  /**
+   * Emit the messages of all topics with the same stamp.
+   *
+   * @private
+   */
+  _process() {
+    const common = Array.from(this.queues[0].keys()).filter((key) => {
+      return this.queues.every((queue) => queue.has(key));
+    }).sort((a, b) => this.queues[0].get(a).time - this.queues[0].get(b).time);
+    if (!common.length) {
+      return;
+    }
+    const newest = this.queues[0].get(common[common.length - 1]).time;
+    common.forEach((key) => {
+      this.emit('message', this.queues.map((queue) => queue.get(key).message));
+    });
+    this.queues.forEach((queue) => {
+      Array.from(queue.keys()).forEach((key) => {
+        if (queue.get(key).time <= newest) {
+          queue.delete(key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Call back with the synchronized messages. The topics are subscribed to
+   * with the first callback, so that the messages they pass on right away are
+   * synchronized as well.
+   *
+   * @param callback - function with params:
+   *   * messages - the array of messages, in the order of the topics
+   */
+  subscribe = (callback) => {
+    this.on('message', callback);
+    if (this._callbacks) {
+      return;
+    }
+    this._callbacks = this.topics.map((topic, index) => {
+      const topicCallback = (message) => {
+        this.add(message, index);
+      };
+      topic.subscribe(topicCallback);
+      return topicCallback;
+    });
+  };
+
+  /**
+   * Stop calling back, and unsubscribe from the topics after the last callback.
+   *
+   * @param callback - the callback to remove, all if not given
+   */
+  unsubscribe = (callback) => {
+    if (callback) {
+      this.removeListener('message', callback);
+    } else {
+      this.removeAllListeners('message');
+    }
+    if (!this.listeners('message').length) {
+      this.dispose();
+    }
+  };
+
+  /**
+   * Unsubscribe from the topics.
+   */
+  dispose = () => {
+    if (!this._callbacks) {
+      return;
+    }
+    this.topics.forEach((topic, index) => {
+      topic.unsubscribe(this._callbacks[index]);
+    });
+    this._callbacks = null;
+  };
+}
+
+/**
+ * Get the stamp of a message, as a key identifying it exactly and in seconds.
+ *
+ * @private
+ */
+export function stampOf(message, allowHeaderless) {
+  const stamp = message && message.header && message.header.stamp;
+  if (!stamp) {
+    if (!allowHeaderless) {
+      return null;
+    }
+    const now = Date.now();
+    return {
+      key: 'received:' + now,
+      time: now / 1000
+    };
+  }
+  const time = secsAndNsecs(stamp);
+  return {
+    key: time.secs + ':' + time.nsecs,
+    time: toSeconds(stamp)
+  };
+}
+
+function oldestKey(queue) {
+  let oldest = null;
+  queue.forEach((entry, key) => {
+    if (oldest === null || entry.time < queue.get(oldest).time) {
+      oldest = key;
+    }
+  });
+  return oldest;
+}
+
+export default TimeSynchronizer;
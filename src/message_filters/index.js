@@ -0,0 +1,14 @@
+/**
+ * @fileOverview
+ * Filters of messages, like ROS message_filters.
+ */
+
+import ApproximateTimeSynchronizer from './ApproximateTimeSynchronizer';
+import Cache from './Cache';
+import TimeSynchronizer from './TimeSynchronizer';
+
+export default {
+    ApproximateTimeSynchronizer,
+    Cache,
+    TimeSynchronizer
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileOverview
+ * A buffer of the transforms between coordinate frames.
+ */
+
+import RosError from '../core/RosError';
+import Transform from '../math/Transform';
+import toSeconds from '../util/toSeconds';
+
+/**
+ * A tree of coordinate frames built from geometry_msgs/TransformStamped
+ * messages, keeping the recent history of every frame so transforms between
+ * any two connected frames can be looked up. Transforms between two samples
+ * of the history are interpolated.
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * cacheTime - how long (in seconds) the history of a frame is kept, default: 10
+ *   * maxExtrapolation - how far (in seconds) a lookup may be before the oldest or after
+ *     the newest sample of a frame, using that sample, default: 0
+ */
+class TFBuffer {
+  constructor(options) {
+    options = options || {};
+    this.cacheTime = options.cacheTime || 10.0;
+    this.maxExtrapolation = options.maxExtrapolation || 0;
+    // per child frame: its parent frame and the transforms to it, oldest first
+    this.frames = {};
+  }
+
+  /**
+   * Add a transform to the buffer.
+   *
+   * @param transform - the geometry_msgs/TransformStamped message
+   * @param isStatic - whether the transform came from /tf_static and never expires
+   */
+  setTransform = (transform, isStatic) => {
+    const child = stripSlash(transform.child_frame_id);
+    const parent = stripSlash(transform.header.frame_id);
+    const time = isStatic ? 0 : toSeconds(transform.header.stamp);
+    let frame = this.frames[child];
+    if (!frame || frame.parent !== parent || frame.isStatic !== !!isStatic) {
+      frame = this.frames[child] = {
+        parent: parent,
+        isStatic: !!isStatic,
+        history: []
+      };
+    }
+
+    const sample = {
+      time: time,
+      transform: new Transform(transform.transform)
+    };
+    if (isStatic) {
+      frame.history = [sample];
+      return;
+    }
+
+    const history = frame.history;
+    let idx = history.length;
+    while (idx > 0 && history[idx - 1].time > time) {
+      idx--;
+    }
+    if (idx > 0 && history[idx - 1].time === time) {
+      history[idx - 1] = sample;
+    } else {
+      history.splice(idx, 0, sample);
+    }
+
+    const newest = history[history.length - 1].time;
+    while (history.length > 1 && history[0].time < newest - this.cacheTime) {
+      history.shift();
+    }
+  };
+
+  /**
+   * Check whether the given frame is known to the buffer.
+   *
+   * @param frameID - the frame to check
+   * @returns true if transforms of or to the frame were received
+   */
+  hasFrame = (frameID) => {
+    frameID = stripSlash(frameID);
+    if (this.frames[frameID]) {
+      return true;
+    }
+    return Object.keys(this.frames).some((child) => {
+      return this.frames[child].parent === frameID;
+    });
+  };
+
+  /**
+   * Get the transform taking data from the source frame into the target frame.
+   *
+   * @param targetFrame - the frame to transform into
+   * @param sourceFrame - the frame to transform from
+   * @param time (optional) - the time of the transform, as a ROS time like {secs, nsecs} or
+   *   {sec, nanosec} or in seconds, default: the latest available transforms
+   * @returns the ROSLIB.Transform, throws a ROSLIB.RosError with code 'LOOKUP_FAILED' if
+   *   the frames are unknown or not connected, or 'EXTRAPOLATION' if the time is outside
+   *   of the history of a frame by more than maxExtrapolation
+   */
+  lookupTransform = (targetFrame, sourceFrame, time) => {
+    targetFrame = stripSlash(targetFrame);
+    sourceFrame = stripSlash(sourceFrame);
+    time = toSeconds(time);
+
+    // the chains of both frames up to the root, as transforms into the ancestors
+    const sourceChain = this._chainToRoot(sourceFrame, time);
+    const targetChain = this._chainToRoot(targetFrame, time);
+
+    // find the closest common ancestor
+    let ancestor = null;
+    for (let i = 0; i < sourceChain.frames.length && ancestor === null; i++) {
+      if (targetChain.frames.indexOf(sourceChain.frames[i]) !== -1) {
+        ancestor = sourceChain.frames[i];
+      }
+    }
+    if (ancestor === null) {
+      throw new RosError('Could not find a connection between ' + targetFrame + ' and ' + sourceFrame, {
+        code: 'LOOKUP_FAILED',
+        operation: targetFrame,
+        details: { targetFrame: targetFrame, sourceFrame: sourceFrame }
+      });
+    }
+
+    const ancestorFromSource = sourceChain.transforms[sourceChain.frames.indexOf(ancestor)];
+    const ancestorFromTarget = targetChain.transforms[targetChain.frames.indexOf(ancestor)];
+    return ancestorFromTarget.inverse().multiply(ancestorFromSource);
+  };
+
+  /**
+   * Walk from the given frame up to the root of its tree.
+   *
+   * @private
+   * @param frameID - the frame to start at
+   * @param time - the time in seconds, 0 for the latest
+   * @returns the frames on the way, starting with frameID, and the transforms
+   *   from frameID into each of them
+   */
+  _chainToRoot = (frameID, time) => {
+    const frames = [frameID];
+    const transforms = [new Transform()];
+    let current = frameID;
+    while (this.frames[current]) {
+      const frame = this.frames[current];
+      if (frames.indexOf(frame.parent) !== -1) {
+        break;
+      }
+      const parentFromCurrent = this._transformAt(current, time);
+      transforms.push(parentFromCurrent.multiply(transforms[transforms.length - 1]));
+      frames.push(frame.parent);
+      current = frame.parent;
+    }
+    return { frames: frames, transforms: transforms };
+  };
+
+  /**
+   * Get the transform of a frame to its parent at the given time, interpolated
+   * between the samples around it.
+   *
+   * @private
+   * @param frameID - the child frame
+   * @param time - the time in seconds, 0 for the latest
+   * @returns the ROSLIB.Transform
+   */
+  _transformAt = (frameID, time) => {
+    const frame = this.frames[frameID];
+    const history = frame.history;
+    const oldest = history[0];
+    const newest = history[history.length - 1];
+    if (frame.isStatic || !time) {
+      return newest.transform;
+    }
+
+    if (time < oldest.time || time > newest.time) {
+      const tooOld = time < oldest.time;
+      const distance = tooOld ? oldest.time - time : time - newest.time;
+      if (distance > this.maxExtrapolation) {
+        throw new RosError('Lookup of ' + frameID + ' at ' + time + ' would require extrapolation into the ' +
+          (tooOld ? 'past, the oldest data is at ' + oldest.time : 'future, the newest data is at ' + newest.time), {
+          code: 'EXTRAPOLATION',
+          operation: frameID,
+          details: { time: time, oldest: oldest.time, newest: newest.time }
+        });
+      }
+      return tooOld ? oldest.transform : newest.transform;
+    }
+
+    let idx = history.length - 1;
+    while (history[idx - 1] && history[idx - 1].time >= time) {
+      idx--;
+    }
+    const after = history[idx];
+    const before = history[idx - 1];
+    if (!before || after.time === time) {
+      return after.transform;
+    }
+    return before.transform.interpolate(after.transform, (time - before.time) / (after.time - before.time));
+  };
+}
+
+/**
+ * Remove the leading slash of a tf1 style frame ID.
+ *
+ * @private
+ * @param frameID - the frame ID, like /base_link
+ * @returns the frame ID without leading slash
+ */
+export function stripSlash(frameID) {
+  return frameID[0] === '/' ? frameID.substring(1) : frameID;
+}
+
+export default TFBuffer;
@@ -0,0 +1,159 @@
+/**
+ * @fileOverview
+ * Listening to the TF topics without tf2_web_republisher.
+ */
+
+import Topic from '../core/Topic';
+import TFBuffer, { stripSlash } from './TFBuffer';
+
+/**
+ * A TF listener that subscribes to /tf and /tf_static directly, so it works
+ * without a tf2_web_republisher. The received transforms are kept in a
+ * ROSLIB.TFBuffer, available as `buffer`.
+ *
+ *  @constructor
+ *  @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * fixedFrame - the frame the transforms passed to `subscribe` callbacks are relative to, like base_link
+ *   * cacheTime - how long (in seconds) the history of a frame is kept, default: 10
+ *   * maxExtrapolation - how far (in seconds) a lookup may be outside the history of a frame,
+ *     see ROSLIB.TFBuffer, default: 0
+ *   * tfTopic (optional) - the topic of dynamic transforms, default: '/tf'
+ *   * tfStaticTopic (optional) - the topic of static transforms, default: '/tf_static'
+ */
+class TFListener {
+  constructor(options = {}) {
+    this.ros = options.ros;
+    this.fixedFrame = stripSlash(options.fixedFrame || 'base_link');
+    this.buffer = new TFBuffer({
+      cacheTime: options.cacheTime,
+      maxExtrapolation: options.maxExtrapolation
+    });
+    this.frameInfos = {};
+
+    this.tfTopic = new Topic({
+      ros: this.ros,
+      name: options.tfTopic || '/tf',
+      messageType: 'tf2_msgs/TFMessage'
+    });
+    this.tfStaticTopic = new Topic({
+      ros: this.ros,
+      name: options.tfStaticTopic || '/tf_static',
+      messageType: 'tf2_msgs/TFMessage'
+    });
+
+    this._tfCallback = (message) => {
+      this.processTFMessage(message, false);
+    };
+    this._tfStaticCallback = (message) => {
+      this.processTFMessage(message, true);
+    };
+    this.tfTopic.subscribe(this._tfCallback);
+    this.tfStaticTopic.subscribe(this._tfStaticCallback);
+  }
+
+  /**
+   * Add the transforms of a TF message to the buffer and call back the
+   * subscribers of the frames that moved relative to the fixed frame.
+   *
+   * @param message - the tf2_msgs/TFMessage
+   * @param isStatic - whether the message came from /tf_static
+   */
+  processTFMessage = (message, isStatic) => {
+    message.transforms.forEach((transform) => {
+      this.buffer.setTransform(transform, isStatic);
+    });
+    Object.keys(this.frameInfos).forEach((frameID) => {
+      this._updateFrame(frameID);
+    });
+  };
+
+  /**
+   * Look up the latest transform of a subscribed frame and call back the
+   * subscribers if it changed.
+   *
+   * @private
+   * @param frameID - the subscribed frame
+   */
+  _updateFrame = (frameID) => {
+    const info = this.frameInfos[frameID];
+    let transform;
+    try {
+      transform = this.buffer.lookupTransform(this.fixedFrame, frameID);
+    } catch (error) {
+      // not connected to the fixed frame (yet)
+      return;
+    }
+    if (info.transform && sameTransform(info.transform, transform)) {
+      return;
+    }
+    info.transform = transform;
+    info.cbs.forEach((cb) => {
+      cb(transform);
+    });
+  };
+
+  /**
+   * Subscribe to the given TF frame.
+   *
+   * @param frameID - the TF frame to subscribe to
+   * @param callback - function with params:
+   *   * transform - the transform of the frame relative to the fixed frame
+   */
+  subscribe = (frameID, callback) => {
+    frameID = stripSlash(frameID);
+    if (!this.frameInfos[frameID]) {
+      this.frameInfos[frameID] = {
+        cbs: []
+      };
+      this.frameInfos[frameID].cbs.push(callback);
+      this._updateFrame(frameID);
+      return;
+    }
+    // if we already have a transform, call back immediately
+    if (this.frameInfos[frameID].transform) {
+      callback(this.frameInfos[frameID].transform);
+    }
+    this.frameInfos[frameID].cbs.push(callback);
+  };
+
+  /**
+   * Unsubscribe from the given TF frame.
+   *
+   * @param frameID - the TF frame to unsubscribe from
+   * @param callback - the callback function to remove
+   */
+  unsubscribe = (frameID, callback) => {
+    frameID = stripSlash(frameID);
+    const info = this.frameInfos[frameID];
+    const cbs = info && info.cbs || [];
+    for (let idx = cbs.length; idx--;) {
+      if (cbs[idx] === callback) {
+        cbs.splice(idx, 1);
+      }
+    }
+    if (!callback || cbs.length === 0) {
+      delete this.frameInfos[frameID];
+    }
+  };
+
+  /**
+   * Unsubscribe from the TF topics.
+   */
+  dispose = () => {
+    this.tfTopic.unsubscribe(this._tfCallback);
+    this.tfStaticTopic.unsubscribe(this._tfStaticCallback);
+  };
+}
+
+function sameTransform(a, b) {
+  return a.translation.x === b.translation.x &&
+    a.translation.y === b.translation.y &&
+    a.translation.z === b.translation.z &&
+    a.rotation.x === b.rotation.x &&
+    a.rotation.y === b.rotation.y &&
+    a.rotation.z === b.rotation.z &&
+    a.rotation.w === b.rotation.w;
+}
+
+export default TFListener;
@@ -1,11 +1,15 @@
 import Ros from '../core/Ros';
 import mixin from '../mixin';
+import TFBuffer from './TFBuffer';
 import TFClient from './TFClient';
+import TFListener from './TFListener';
 
 const tf = {
-    TFClient
+    TFBuffer,
+    TFClient,
+    TFListener
 };
 
-mixin(Ros, ['TFClient'], tf);
+mixin(Ros, ['TFClient', 'TFListener'], tf);
 
 export default tf;
@@ -0,0 +1,489 @@
+/**
+ * @fileOverview
+ * Loaders of the STL, OBJ and COLLADA meshes referenced by URDF and SDF models,
+ * producing plain buffers usable without three.js.
+ *
+ * A mesh is an object with the keys:
+ *  * vertices - Float32Array of the x, y, z coordinates of the vertices
+ *  * normals - Float32Array of the x, y, z normals of the vertices
+ *  * indices - Uint32Array of the vertex indices, three per triangle
+ */
+
+import ResourceResolver from './ResourceResolver';
+import xmldom from 'xmldom';
+const { DOMParser } = xmldom;
+
+/**
+ * Collects triangles, sharing vertices with the same key.
+ *
+ * @private
+ */
+function MeshBuilder() {
+  this.vertices = [];
+  this.normals = [];
+  this.indices = [];
+  this.keys = {};
+  this.missingNormals = false;
+}
+
+/**
+ * Add a vertex, or find the one added with the same key before.
+ *
+ * @returns the index of the vertex
+ */
+MeshBuilder.prototype.addVertex = function(position, normal, key) {
+  if (key !== undefined && this.keys[key] !== undefined) {
+    return this.keys[key];
+  }
+  var index = this.vertices.length / 3;
+  this.vertices.push(position[0], position[1], position[2]);
+  if (normal) {
+    this.normals.push(normal[0], normal[1], normal[2]);
+  } else {
+    this.normals.push(0, 0, 0);
+    this.missingNormals = true;
+  }
+  if (key !== undefined) {
+    this.keys[key] = index;
+  }
+  return index;
+};
+
+/**
+ * Add a polygon of vertex indices, split into a fan of triangles.
+ */
+MeshBuilder.prototype.addPolygon = function(indices) {
+  for (var i = 2; i < indices.length; i++) {
+    this.indices.push(indices[0], indices[i - 1], indices[i]);
+  }
+};
+
+MeshBuilder.prototype.toMesh = function() {
+  var mesh = {
+    vertices : new Float32Array(this.vertices),
+    normals : new Float32Array(this.normals),
+    indices : new Uint32Array(this.indices)
+  };
+  if (this.missingNormals) {
+    computeNormals(mesh);
+  }
+  return mesh;
+};
+
+/**
+ * Set the normals of a mesh to the average of the normals of its triangles.
+ *
+ * @private
+ */
+function computeNormals(mesh) {
+  var v = mesh.vertices;
+  var normals = new Float32Array(v.length);
+  for (var i = 0; i < mesh.indices.length; i += 3) {
+    var a = mesh.indices[i] * 3, b = mesh.indices[i + 1] * 3, c = mesh.indices[i + 2] * 3;
+    var n = triangleNormal(v, a, b, c);
+    [a, b, c].forEach(function(offset) {
+      normals[offset] += n[0];
+      normals[offset + 1] += n[1];
+      normals[offset + 2] += n[2];
+    });
+  }
+  for (var j = 0; j < normals.length; j += 3) {
+    normalize(normals, j);
+  }
+  mesh.normals = normals;
+}
+
+function triangleNormal(v, a, b, c) {
+  var ux = v[b] - v[a], uy = v[b + 1] - v[a + 1], uz = v[b + 2] - v[a + 2];
+  var wx = v[c] - v[a], wy = v[c + 1] - v[a + 1], wz = v[c + 2] - v[a + 2];
+  var n = [uy * wz - uz * wy, uz * wx - ux * wz, ux * wy - uy * wx];
+  normalize(n, 0);
+  return n;
+}
+
+function normalize(array, offset) {
+  var length = Math.sqrt(array[offset] * array[offset] + array[offset + 1] * array[offset + 1] +
+    array[offset + 2] * array[offset + 2]);
+  if (length > 0) {
+    array[offset] /= length;
+    array[offset + 1] /= length;
+    array[offset + 2] /= length;
+  }
+}
+
+function decodeText(buffer) {
+  return new TextDecoder().decode(buffer);
+}
+
+function parseNumbers(text) {
+  text = text.trim();
+  return text ? text.split(/\s+/).map(Number) : [];
+}
+
+/**
+ * Parse an ASCII or binary STL file.
+ *
+ * @param buffer - the contents of the file as an ArrayBuffer
+ * @returns the mesh
+ */
+function parseStl(buffer) {
+  var view = new DataView(buffer);
+  var builder = new MeshBuilder();
+  // binary files may start with "solid" too, so check their size first
+  var count = buffer.byteLength >= 84 ? view.getUint32(80, true) : -1;
+  if (84 + count * 50 === buffer.byteLength) {
+    for (var i = 0; i < count; i++) {
+      var offset = 84 + i * 50;
+      var normal = [0, 1, 2].map(function(k) {
+        return view.getFloat32(offset + k * 4, true);
+      });
+      var corners = [0, 1, 2].map(function(corner) {
+        return [0, 1, 2].map(function(k) {
+          return view.getFloat32(offset + 12 + corner * 12 + k * 4, true);
+        });
+      });
+      addFacet(builder, normal, corners);
+    }
+    return builder.toMesh();
+  }
+
+  var facetPattern = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)([\s\S]*?)endfacet/g;
+  var vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  var text = decodeText(buffer);
+  var facet;
+  while ((facet = facetPattern.exec(text))) {
+    var vertices = [];
+    var vertex;
+    while ((vertex = vertexPattern.exec(facet[4]))) {
+      vertices.push([Number(vertex[1]), Number(vertex[2]), Number(vertex[3])]);
+    }
+    addFacet(builder, [Number(facet[1]), Number(facet[2]), Number(facet[3])], vertices);
+  }
+  return builder.toMesh();
+}
+
+function addFacet(builder, normal, corners) {
+  if (normal[0] === 0 && normal[1] === 0 && normal[2] === 0) {
+    normal = null;
+  }
+  builder.addPolygon(corners.map(function(corner) {
+    return builder.addVertex(corner, normal);
+  }));
+}
+
+/**
+ * Parse a Wavefront OBJ file.
+ *
+ * @param buffer - the contents of the file as an ArrayBuffer
+ * @returns the mesh
+ */
+function parseObj(buffer) {
+  var positions = [];
+  var normals = [];
+  var builder = new MeshBuilder();
+  decodeText(buffer).split('\n').forEach(function(line) {
+    var parts = line.trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      positions.push(parts.slice(1, 4).map(Number));
+    } else if (parts[0] === 'vn') {
+      normals.push(parts.slice(1, 4).map(Number));
+    } else if (parts[0] === 'f') {
+      builder.addPolygon(parts.slice(1).map(function(corner) {
+        // v, v/vt, v//vn or v/vt/vn, negative indices count from the end
+        var refs = corner.split('/');
+        var position = objIndex(refs[0], positions.length);
+        var normal = refs[2] ? objIndex(refs[2], normals.length) : -1;
+        return builder.addVertex(positions[position], normals[normal], position + '/' + normal);
+      }));
+    }
+  });
+  return builder.toMesh();
+}
+
+function objIndex(ref, count) {
+  var index = parseInt(ref, 10);
+  return index < 0 ? count + index : index - 1;
+}
+
+/**
+ * Parse a COLLADA file. The geometries are placed as in its visual scene and
+ * scaled to meters.
+ *
+ * @param buffer - the contents of the file as an ArrayBuffer
+ * @returns the mesh
+ */
+function parseCollada(buffer) {
+  var doc = new DOMParser().parseFromString(decodeText(buffer), 'text/xml');
+  var elementsById = {};
+  var all = doc.getElementsByTagName('*');
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].getAttribute('id')) {
+      elementsById[all[i].getAttribute('id')] = all[i];
+    }
+  }
+  var lookup = function(url) {
+    return elementsById[(url || '').replace(/^#/, '')] || null;
+  };
+
+  var units = doc.getElementsByTagName('unit')[0];
+  var meter = units && units.getAttribute('meter') ? parseFloat(units.getAttribute('meter')) : 1;
+  var root = [
+    meter, 0, 0, 0,
+    0, meter, 0, 0,
+    0, 0, meter, 0,
+    0, 0, 0, 1
+  ];
+
+  var builder = new MeshBuilder();
+  var scene = doc.getElementsByTagName('instance_visual_scene')[0];
+  var visualScene = scene ? lookup(scene.getAttribute('url')) : null;
+  if (visualScene) {
+    addColladaNodes(builder, visualScene, root, lookup);
+  } else {
+    var geometries = doc.getElementsByTagName('geometry');
+    for (var j = 0; j < geometries.length; j++) {
+      addColladaGeometry(builder, geometries[j], root, lookup);
+    }
+  }
+  return builder.toMesh();
+}
+
+function addColladaNodes(builder, parent, matrix, lookup) {
+  childElements(parent).forEach(function(node) {
+    if (node.tagName === 'node') {
+      var nodeMatrix = matrix;
+      childElements(node).forEach(function(child) {
+        var transform = colladaTransform(child);
+        if (transform) {
+          nodeMatrix = multiply(nodeMatrix, transform);
+        }
+      });
+      childElements(node).forEach(function(child) {
+        var target = lookup(child.getAttribute('url'));
+        if (child.tagName === 'instance_geometry' && target) {
+          addColladaGeometry(builder, target, nodeMatrix, lookup);
+        } else if (child.tagName === 'instance_node' && target) {
+          addColladaNodes(builder, { childNodes : [target] }, nodeMatrix, lookup);
+        }
+      });
+      addColladaNodes(builder, node, nodeMatrix, lookup);
+    }
+  });
+}
+
+function colladaTransform(xml) {
+  var v = parseNumbers(xml.textContent);
+  if (xml.tagName === 'matrix') {
+    return v;
+  } else if (xml.tagName === 'translate') {
+    return [1, 0, 0, v[0], 0, 1, 0, v[1], 0, 0, 1, v[2], 0, 0, 0, 1];
+  } else if (xml.tagName === 'scale') {
+    return [v[0], 0, 0, 0, 0, v[1], 0, 0, 0, 0, v[2], 0, 0, 0, 0, 1];
+  } else if (xml.tagName === 'rotate') {
+    var length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    var x = v[0] / length, y = v[1] / length, z = v[2] / length;
+    var angle = v[3] * Math.PI / 180;
+    var c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+    return [
+      t * x * x + c, t * x * y - s * z, t * x * z + s * y, 0,
+      t * x * y + s * z, t * y * y + c, t * y * z - s * x, 0,
+      t * x * z - s * y, t * y * z + s * x, t * z * z + c, 0,
+      0, 0, 0, 1
+    ];
+  }
+  return null;
+}
+
+function addColladaGeometry(builder, geometry, matrix, lookup) {
+  var mesh = childElements(geometry).filter(function(child) {
+    return child.tagName === 'mesh';
+  })[0];
+  if (!mesh) {
+    return;
+  }
+  var sourceArray = function(url) {
+    var source = lookup(url);
+    // the vertices element refers to the positions
+    if (source && source.tagName === 'vertices') {
+      var position = childElements(source).filter(function(input) {
+        return input.getAttribute('semantic') === 'POSITION';
+      })[0];
+      source = position ? lookup(position.getAttribute('source')) : null;
+    }
+    var floats = source ? source.getElementsByTagName('float_array')[0] : null;
+    var accessor = source ? source.getElementsByTagName('accessor')[0] : null;
+    return floats && {
+      values : parseNumbers(floats.textContent),
+      stride : accessor ? parseInt(accessor.getAttribute('stride') || '3', 10) : 3
+    };
+  };
+  // a key per geometry instance, so vertices are only shared within it
+  var instance = builder.vertices.length;
+
+  childElements(mesh).forEach(function(primitive) {
+    if (['triangles', 'polylist', 'polygons'].indexOf(primitive.tagName) === -1) {
+      return;
+    }
+    var positions = null, normals = null, positionOffset = 0, normalOffset = -1, stride = 0;
+    childElements(primitive).forEach(function(input) {
+      if (input.tagName !== 'input') {
+        return;
+      }
+      var offset = parseInt(input.getAttribute('offset') || '0', 10);
+      stride = Math.max(stride, offset + 1);
+      var semantic = input.getAttribute('semantic');
+      if (semantic === 'VERTEX') {
+        positions = sourceArray(input.getAttribute('source'));
+        positionOffset = offset;
+      } else if (semantic === 'NORMAL') {
+        normals = sourceArray(input.getAttribute('source'));
+        normalOffset = offset;
+      }
+    });
+    if (!positions) {
+      return;
+    }
+
+    var polygons = childElements(primitive).filter(function(child) {
+      return child.tagName === 'p';
+    }).map(function(p) {
+      return parseNumbers(p.textContent);
+    });
+    var counts;
+    if (primitive.tagName === 'polygons') {
+      counts = polygons.map(function(p) {
+        return p.length / stride;
+      });
+    } else {
+      var vcount = childElements(primitive).filter(function(child) {
+        return child.tagName === 'vcount';
+      })[0];
+      polygons = [[].concat.apply([], polygons)];
+      counts = vcount ? parseNumbers(vcount.textContent) :
+        new Array(polygons[0].length / stride / 3).fill(3);
+    }
+
+    var corner = 0;
+    var polygon = 0;
+    counts.forEach(function(count) {
+      var p = polygons[primitive.tagName === 'polygons' ? polygon++ : 0];
+      var start = primitive.tagName === 'polygons' ? 0 : corner;
+      var indices = [];
+      for (var k = start; k < start + count; k++) {
+        var pi = p[k * stride + positionOffset];
+        var ni = normalOffset >= 0 ? p[k * stride + normalOffset] : -1;
+        var position = applyMatrix(matrix, positions.values.slice(pi * positions.stride, pi * positions.stride + 3), 1);
+        var normal = null;
+        if (normals && ni >= 0) {
+          normal = applyMatrix(matrix, normals.values.slice(ni * normals.stride, ni * normals.stride + 3), 0);
+          normalize(normal, 0);
+        }
+        indices.push(builder.addVertex(position, normal, instance + ':' + pi + '/' + ni));
+      }
+      corner += count;
+      builder.addPolygon(indices);
+    });
+  });
+}
+
+function childElements(xml) {
+  return Array.prototype.filter.call(xml.childNodes, function(node) {
+    return node.nodeType === 1;
+  });
+}
+
+function multiply(a, b) {
+  var result = [];
+  for (var row = 0; row < 4; row++) {
+    for (var col = 0; col < 4; col++) {
+      var sum = 0;
+      for (var k = 0; k < 4; k++) {
+        sum += a[row * 4 + k] * b[k * 4 + col];
+      }
+      result.push(sum);
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply a row-major 4x4 matrix to a point (w = 1) or direction (w = 0).
+ */
+function applyMatrix(m, v, w) {
+  return [0, 1, 2].map(function(row) {
+    return m[row * 4] * v[0] + m[row * 4 + 1] * v[1] + m[row * 4 + 2] * v[2] + m[row * 4 + 3] * w;
+  });
+}
+
+/**
+ * Parse a mesh file of a type known by its extension: .stl, .obj or .dae.
+ *
+ * @param filename - the name or URI of the file
+ * @param buffer - the contents of the file as an ArrayBuffer
+ * @returns the mesh, throws an Error for other types
+ */
+function parse(filename, buffer) {
+  var extension = filename.split('?')[0].split('.').pop().toLowerCase();
+  if (extension === 'stl') {
+    return parseStl(buffer);
+  } else if (extension === 'obj') {
+    return parseObj(buffer);
+  } else if (extension === 'dae') {
+    return parseCollada(buffer);
+  }
+  throw new Error('Unsupported mesh type ' + extension + ' of ' + filename);
+}
+
+/**
+ * Scale a mesh, keeping its normals perpendicular to the surfaces.
+ *
+ * @param mesh - the mesh to scale in place
+ * @param scale - the ROSLIB.Vector3 of the scale per axis
+ * @returns the mesh
+ */
+function scaleMesh(mesh, scale) {
+  var factors = [scale.x, scale.y, scale.z];
+  for (var i = 0; i < mesh.vertices.length; i++) {
+    mesh.vertices[i] *= factors[i % 3];
+    mesh.normals[i] /= factors[i % 3];
+  }
+  for (var j = 0; j < mesh.normals.length; j += 3) {
+    normalize(mesh.normals, j);
+  }
+  // mirroring flips the winding of the triangles
+  if (factors[0] * factors[1] * factors[2] < 0) {
+    for (var k = 0; k < mesh.indices.length; k += 3) {
+      var swap = mesh.indices[k + 1];
+      mesh.indices[k + 1] = mesh.indices[k + 2];
+      mesh.indices[k + 2] = swap;
+    }
+  }
+  return mesh;
+}
+
+/**
+ * Load and parse a mesh.
+ *
+ * @param filename - the URI of the mesh, like package://my_robot/meshes/base.dae
+ * @param options - object with following keys:
+ *  * resolver (optional) - the ROSLIB.ResourceResolver to load the file with
+ *  * scale (optional) - the ROSLIB.Vector3 to scale the mesh with
+ * @returns a Promise of the mesh
+ */
+function load(filename, options) {
+  options = options || {};
+  var resolver = options.resolver || new ResourceResolver();
+  return resolver.load(filename).then(function(buffer) {
+    var mesh = parse(filename, buffer);
+    return options.scale ? scaleMesh(mesh, options.scale) : mesh;
+  });
+}
+
+export default {
+  load,
+  parse,
+  parseCollada,
+  parseObj,
+  parseStl,
+  scaleMesh
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileOverview
+ * Resolution and loading of the resources referenced by URDF and SDF models.
+ */
+
+import readFile from '../util/readFile';
+
+/**
+ * Resolves resource URIs like the `filename` of a UrdfMesh or the texture of
+ * a UrdfMaterial (package://my_robot/meshes/base.dae) to URLs and loads them.
+ *
+ * package:// and model:// URIs are mapped with `packages`, then `packagePath`.
+ * file:// URIs are read from disk under Node.js, everything else is fetched.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * packages (optional) - map of package names to the URLs of their contents,
+ *    like {my_robot: 'http://host/my_robot'}
+ *  * packagePath (optional) - the URL the other packages are found under, like
+ *    'http://host/' for http://host/my_robot/meshes/base.dae
+ *  * resolve (optional) - function taking a URI and returning its URL, or null to use the
+ *    default resolution
+ *  * fetch (optional) - function taking a URL and returning a Promise of its contents
+ *    as an ArrayBuffer, default: reading file:// URLs and fetching all others
+ */
+function ResourceResolver(options) {
+  options = options || {};
+  this.packages = options.packages || {};
+  this.packagePath = options.packagePath || null;
+  this.customResolve = options.resolve || null;
+  this.customFetch = options.fetch || null;
+}
+
+/**
+ * Get the URL of a resource.
+ *
+ * @param uri - the URI of the resource
+ * @returns the URL, or null if it can not be resolved
+ */
+ResourceResolver.prototype.resolve = function(uri) {
+  if (this.customResolve) {
+    var url = this.customResolve(uri);
+    if (url) {
+      return url;
+    }
+  }
+
+  var match = /^(package|model):\/\/([^/]+)\/?(.*)$/.exec(uri);
+  if (!match) {
+    return uri;
+  }
+  var packageName = match[2];
+  var path = match[3];
+  if (this.packages[packageName] !== undefined) {
+    return joinUrl(this.packages[packageName], path);
+  }
+  if (this.packagePath !== null) {
+    return joinUrl(joinUrl(this.packagePath, packageName), path);
+  }
+  return null;
+};
+
+/**
+ * Load a resource.
+ *
+ * @param uri - the URI of the resource
+ * @returns a Promise of the contents as an ArrayBuffer, rejected if the resource can
+ *   not be resolved or loaded
+ */
+ResourceResolver.prototype.load = function(uri) {
+  var url = this.resolve(uri);
+  if (url === null) {
+    return Promise.reject(new Error('Cannot resolve ' + uri + ', no location of its package is known'));
+  }
+  if (this.customFetch) {
+    return Promise.resolve(this.customFetch(url));
+  }
+  if (url.indexOf('file://') === 0) {
+    return readFile(decodeURIComponent(url.substring('file://'.length)));
+  }
+  return fetch(url).then(function(response) {
+    if (!response.ok) {
+      throw new Error('Cannot load ' + url + ': ' + response.status + ' ' + response.statusText);
+    }
+    return response.arrayBuffer();
+  });
+};
+
+function joinUrl(base, path) {
+  if (!path) {
+    return base;
+  }
+  return base.replace(/\/+$/, '') + '/' + path;
+}
+
+export default ResourceResolver;
@@ -0,0 +1,416 @@
+/**
+ * @fileOverview
+ * Parsing of SDF models into the URDF element structure.
+ */
+
+import Pose from '../math/Pose';
+import Quaternion from '../math/Quaternion';
+import Transform from '../math/Transform';
+import Vector3 from '../math/Vector3';
+import UrdfBox from './UrdfBox';
+import UrdfCollision from './UrdfCollision';
+import UrdfColor from './UrdfColor';
+import UrdfCylinder from './UrdfCylinder';
+import UrdfInertial from './UrdfInertial';
+import UrdfJoint from './UrdfJoint';
+import UrdfLink from './UrdfLink';
+import UrdfMaterial from './UrdfMaterial';
+import UrdfMesh from './UrdfMesh';
+import UrdfModel from './UrdfModel';
+import UrdfSphere from './UrdfSphere';
+import UrdfTypes from './UrdfTypes';
+import UrdfVisual from './UrdfVisual';
+import xmldom from 'xmldom';
+const { DOMParser } = xmldom;
+
+var MODEL_FRAME = '__model__';
+
+/**
+ * An SDF (1.6 and later) model, parsed into the same links, joints, visuals,
+ * collisions and geometries as a UrdfModel, so it can be used in its place.
+ *
+ * Like in URDF, the frame of a link that is the child of a joint is the joint
+ * frame, with `origin` of the joint relative to the frame of the parent link.
+ * Poses given relative_to other links, joints or frames are resolved.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * xml - the XML element to parse
+ *  * string - the XML element to parse as a string
+ *  * warn (optional) - function called with the warnings while parsing, default: console.warn
+ */
+function SdfModel(options) {
+  options = options || {};
+  if (options.warn) {
+    this._warn = options.warn;
+  }
+  var xmlDoc = options.xml;
+  if (options.string) {
+    xmlDoc = new DOMParser().parseFromString(options.string, 'text/xml');
+  }
+  this.materials = {};
+  this.links = {};
+  this.joints = {};
+  this.unknownElements = [];
+  this._inlineMaterials = {};
+  this.rootLink = null;
+
+  var modelXml = xmlDoc && xmlDoc.documentElement;
+  if (modelXml && modelXml.tagName !== 'model') {
+    modelXml = xmlDoc.getElementsByTagName('model')[0];
+  }
+  if (!modelXml) {
+    this.name = null;
+    this._warn('The SDF document has no model.');
+    return;
+  }
+  this.name = modelXml.getAttribute('name');
+
+  var linksXml = childElements(modelXml, 'link');
+  var jointsXml = childElements(modelXml, 'joint');
+  this._frames = new FrameGraph(modelXml, linksXml, jointsXml, this._warn);
+
+  // the URDF frame of every link, relative to the model
+  var linkFrames = {};
+  var that = this;
+  linksXml.forEach(function(linkXml) {
+    var name = linkXml.getAttribute('name');
+    linkFrames[name] = that._frames.resolve(name);
+  });
+  jointsXml.forEach(function(jointXml) {
+    var child = childText(jointXml, 'child');
+    if (linkFrames[child]) {
+      linkFrames[child] = that._frames.resolve(jointXml.getAttribute('name'));
+    }
+  });
+
+  linksXml.forEach(function(linkXml) {
+    var link = that._parseLink(linkXml, linkFrames[linkXml.getAttribute('name')]);
+    that.links[link.name] = link;
+  });
+  jointsXml.forEach(function(jointXml) {
+    var joint = that._parseJoint(jointXml, linkFrames);
+    that.joints[joint.name] = joint;
+  });
+
+  this._buildTree();
+}
+
+SdfModel.prototype = Object.create(UrdfModel.prototype);
+SdfModel.prototype.constructor = SdfModel;
+
+/**
+ * Parse a link, with its visuals, collisions and inertial relative to the given
+ * URDF link frame.
+ *
+ * @private
+ */
+SdfModel.prototype._parseLink = function(xml, linkFrame) {
+  var link = Object.create(UrdfLink.prototype);
+  link.name = xml.getAttribute('name');
+  link.unknownElements = [];
+  // from the model frame to the URDF link frame
+  var toLink = linkFrame.inverse();
+  var that = this;
+
+  link.visuals = childElements(xml, 'visual').map(function(visualXml) {
+    var visual = Object.create(UrdfVisual.prototype);
+    visual.name = visualXml.getAttribute('name');
+    visual.origin = toPose(toLink.multiply(that._frames.resolvePose(visualXml, link.name)));
+    visual.geometry = parseGeometry(childElement(visualXml, 'geometry'), that._warn);
+    visual.material = parseMaterial(childElement(visualXml, 'material'), visual.name);
+    return visual;
+  });
+
+  link.collisions = childElements(xml, 'collision').map(function(collisionXml) {
+    var collision = Object.create(UrdfCollision.prototype);
+    collision.name = collisionXml.getAttribute('name');
+    collision.origin = toPose(toLink.multiply(that._frames.resolvePose(collisionXml, link.name)));
+    collision.geometry = parseGeometry(childElement(collisionXml, 'geometry'), that._warn);
+    return collision;
+  });
+
+  link.inertial = null;
+  var inertialXml = childElement(xml, 'inertial');
+  if (inertialXml) {
+    var inertial = Object.create(UrdfInertial.prototype);
+    inertial.origin = toPose(toLink.multiply(this._frames.resolvePose(inertialXml, link.name)));
+    inertial.mass = childNumber(inertialXml, 'mass', 1);
+    var inertiaXml = childElement(inertialXml, 'inertia');
+    inertial.inertia = {
+      ixx : inertiaXml ? childNumber(inertiaXml, 'ixx', 1) : 1,
+      ixy : inertiaXml ? childNumber(inertiaXml, 'ixy', 0) : 0,
+      ixz : inertiaXml ? childNumber(inertiaXml, 'ixz', 0) : 0,
+      iyy : inertiaXml ? childNumber(inertiaXml, 'iyy', 1) : 1,
+      iyz : inertiaXml ? childNumber(inertiaXml, 'iyz', 0) : 0,
+      izz : inertiaXml ? childNumber(inertiaXml, 'izz', 1) : 1
+    };
+    link.inertial = inertial;
+  }
+  return link;
+};
+
+/**
+ * Parse a joint, with its origin relative to the URDF frame of the parent link.
+ *
+ * @private
+ */
+SdfModel.prototype._parseJoint = function(xml, linkFrames) {
+  var joint = Object.create(UrdfJoint.prototype);
+  joint.name = xml.getAttribute('name');
+  joint.type = xml.getAttribute('type');
+  joint.parent = childText(xml, 'parent');
+  joint.child = childText(xml, 'child');
+  joint.unknownElements = [];
+
+  var jointFrame = this._frames.resolve(joint.name);
+  var parentFrame = linkFrames[joint.parent] || new Transform();
+  joint.origin = toPose(parentFrame.inverse().multiply(jointFrame));
+
+  joint.axis = new Vector3({ x : 1 });
+  joint.effort = null;
+  joint.velocity = null;
+  joint.dynamics = {
+    damping : 0,
+    friction : 0
+  };
+  joint.mimic = null;
+  joint.safetyController = null;
+  joint.calibration = null;
+
+  var axisXml = childElement(xml, 'axis');
+  if (axisXml) {
+    var xyzXml = childElement(axisXml, 'xyz');
+    if (xyzXml) {
+      joint.axis = parseVector(xyzXml.textContent);
+      // rotate the axis into the joint frame if it is expressed in another one
+      var expressedIn = xyzXml.getAttribute('expressed_in');
+      if (!expressedIn && childText(axisXml, 'use_parent_model_frame') === 'true') {
+        expressedIn = MODEL_FRAME;
+      }
+      if (expressedIn) {
+        var rotation = jointFrame.inverse().multiply(this._frames.resolve(expressedIn));
+        joint.axis = new Transform({ rotation : rotation.rotation }).apply(joint.axis);
+      }
+    }
+    var limitXml = childElement(axisXml, 'limit');
+    if (limitXml) {
+      joint.minval = childNumber(limitXml, 'lower', -1e16);
+      joint.maxval = childNumber(limitXml, 'upper', 1e16);
+      joint.effort = childNumber(limitXml, 'effort', null);
+      joint.velocity = childNumber(limitXml, 'velocity', null);
+    }
+    var dynamicsXml = childElement(axisXml, 'dynamics');
+    if (dynamicsXml) {
+      joint.dynamics.damping = childNumber(dynamicsXml, 'damping', 0);
+      joint.dynamics.friction = childNumber(dynamicsXml, 'friction', 0);
+    }
+  }
+
+  // SDF has no continuous joints, unlimited revolute joints are their equivalent
+  if (joint.type === 'revolute' && (joint.minval === undefined ||
+      (Math.abs(joint.minval) >= 1e16 && Math.abs(joint.maxval) >= 1e16))) {
+    joint.type = 'continuous';
+    delete joint.minval;
+    delete joint.maxval;
+  }
+  return joint;
+};
+
+/**
+ * The frames of a model, resolving poses given relative_to other frames.
+ * Unknown frames and cycles are reported through warn and resolve to the
+ * model frame.
+ *
+ * @private
+ */
+function FrameGraph(modelXml, linksXml, jointsXml, warn) {
+  // per frame name: the pose element and the default frame it is relative to
+  this.frames = {};
+  this.resolved = {};
+  this.resolved[MODEL_FRAME] = new Transform();
+  this.warn = warn;
+  var that = this;
+  linksXml.forEach(function(xml) {
+    that.frames[xml.getAttribute('name')] = { xml : xml, relativeTo : MODEL_FRAME };
+  });
+  jointsXml.forEach(function(xml) {
+    var child = childText(xml, 'child');
+    if (!child) {
+      warn('Joint ' + xml.getAttribute('name') + ' has no child link.');
+      child = MODEL_FRAME;
+    }
+    that.frames[xml.getAttribute('name')] = { xml : xml, relativeTo : child };
+  });
+  childElements(modelXml, 'frame').forEach(function(xml) {
+    that.frames[xml.getAttribute('name')] = {
+      xml : xml,
+      relativeTo : xml.getAttribute('attached_to') || MODEL_FRAME
+    };
+  });
+}
+
+/**
+ * Get the pose of a frame relative to the model.
+ *
+ * @returns the Transform
+ */
+FrameGraph.prototype.resolve = function(name, visiting) {
+  if (this.resolved[name]) {
+    return this.resolved[name];
+  }
+  var frame = this.frames[name];
+  if (!frame) {
+    this.warn('Unknown frame ' + name + ', using the model frame instead.');
+    this.resolved[name] = new Transform();
+    return this.resolved[name];
+  }
+  visiting = visiting || [];
+  if (visiting.indexOf(name) !== -1) {
+    this.warn('Cycle in the poses of frame ' + name + ', using the model frame instead.');
+    return new Transform();
+  }
+  this.resolved[name] = this.resolvePose(frame.xml, frame.relativeTo, visiting.concat([name]));
+  return this.resolved[name];
+};
+
+/**
+ * Get the pose of an element relative to the model, from its pose element.
+ * Supports the relative_to attribute and the frame attribute of SDF 1.6, and
+ * the degrees and rotation_format (euler_rpy or quat_xyzw) attributes.
+ *
+ * @param xml - the element with the pose, like a link or visual
+ * @param relativeTo - the frame the pose is relative to if it names none
+ * @returns the Transform
+ */
+FrameGraph.prototype.resolvePose = function(xml, relativeTo, visiting) {
+  var poseXml = childElement(xml, 'pose');
+  var pose = new Transform();
+  if (poseXml) {
+    relativeTo = poseXml.getAttribute('relative_to') || poseXml.getAttribute('frame') || relativeTo;
+    var values = poseXml.textContent.trim().split(/\s+/).map(parseFloat);
+    var format = poseXml.getAttribute('rotation_format') || 'euler_rpy';
+    var rotation = null;
+    if (format === 'euler_rpy' && values.length === 6) {
+      var scale = poseXml.getAttribute('degrees') === 'true' ? Math.PI / 180 : 1;
+      rotation = Quaternion.fromEuler(values[3] * scale, values[4] * scale, values[5] * scale);
+    } else if (format === 'quat_xyzw' && values.length === 7) {
+      rotation = new Quaternion({ x : values[3], y : values[4], z : values[5], w : values[6] });
+      rotation.normalize();
+    } else if (format !== 'euler_rpy' && format !== 'quat_xyzw') {
+      this.warn('Unsupported rotation format ' + format + ' of a pose.');
+    } else if (poseXml.textContent.trim()) {
+      this.warn('Invalid ' + format + ' pose ' + poseXml.textContent.trim() + '.');
+    }
+    if (rotation) {
+      pose = new Transform({
+        translation : { x : values[0], y : values[1], z : values[2] },
+        rotation : rotation
+      });
+    }
+  }
+  return this.resolve(relativeTo, visiting).multiply(pose);
+};
+
+function parseGeometry(xml, warn) {
+  if (!xml) {
+    return null;
+  }
+  var shape;
+  if ((shape = childElement(xml, 'box'))) {
+    var box = Object.create(UrdfBox.prototype);
+    box.type = UrdfTypes.URDF_BOX;
+    box.dimension = parseVector(childText(shape, 'size') || '1 1 1');
+    return box;
+  } else if ((shape = childElement(xml, 'cylinder'))) {
+    var cylinder = Object.create(UrdfCylinder.prototype);
+    cylinder.type = UrdfTypes.URDF_CYLINDER;
+    cylinder.radius = childNumber(shape, 'radius', 1);
+    cylinder.length = childNumber(shape, 'length', 1);
+    return cylinder;
+  } else if ((shape = childElement(xml, 'sphere'))) {
+    var sphere = Object.create(UrdfSphere.prototype);
+    sphere.type = UrdfTypes.URDF_SPHERE;
+    sphere.radius = childNumber(shape, 'radius', 1);
+    return sphere;
+  } else if ((shape = childElement(xml, 'mesh'))) {
+    var mesh = Object.create(UrdfMesh.prototype);
+    mesh.type = UrdfTypes.URDF_MESH;
+    mesh.filename = childText(shape, 'uri');
+    var scale = childText(shape, 'scale');
+    mesh.scale = scale ? parseVector(scale) : null;
+    return mesh;
+  }
+  var other = firstChildElement(xml);
+  warn('Unsupported geometry type ' + (other ? other.tagName : 'none'));
+  return null;
+}
+
+function parseMaterial(xml, name) {
+  if (!xml) {
+    return null;
+  }
+  var material = Object.create(UrdfMaterial.prototype);
+  material.name = name;
+  material.textureFilename = null;
+  material.color = null;
+  var rgba = childText(xml, 'diffuse') || childText(xml, 'ambient');
+  if (rgba) {
+    var values = rgba.trim().split(/\s+/).map(parseFloat);
+    var color = Object.create(UrdfColor.prototype);
+    color.r = values[0];
+    color.g = values[1];
+    color.b = values[2];
+    color.a = values.length > 3 ? values[3] : 1;
+    material.color = color;
+  }
+  var pbr = xml.getElementsByTagName('albedo_map');
+  if (pbr.length > 0) {
+    material.textureFilename = pbr[0].textContent.trim();
+  }
+  return material;
+}
+
+function toPose(transform) {
+  return new Pose({
+    position : transform.translation,
+    orientation : transform.rotation
+  });
+}
+
+function parseVector(text) {
+  var values = text.trim().split(/\s+/).map(parseFloat);
+  return new Vector3({
+    x : values[0],
+    y : values[1],
+    z : values[2]
+  });
+}
+
+function childElements(xml, name) {
+  return Array.prototype.filter.call(xml.childNodes, function(node) {
+    return node.nodeType === 1 && node.tagName === name;
+  });
+}
+
+function childElement(xml, name) {
+  return childElements(xml, name)[0] || null;
+}
+
+function firstChildElement(xml) {
+  return Array.prototype.filter.call(xml.childNodes, function(node) {
+    return node.nodeType === 1;
+  })[0] || null;
+}
+
+function childText(xml, name) {
+  var element = childElement(xml, name);
+  return element ? element.textContent.trim() : null;
+}
+
+function childNumber(xml, name, defaultValue) {
+  var text = childText(xml, name);
+  return text ? parseFloat(text) : defaultValue;
+}
+
+export default SdfModel;
@@ -6,6 +6,7 @@
 
 import Vector3 from '../math/Vector3';
 import UrdfTypes from './UrdfTypes';
+import { createDocument, createElement, formatVector, serialize } from './UrdfXml';
 
 /**
  * A Box element in a URDF.
@@ -19,7 +20,8 @@ function UrdfBox(options) {
   this.type = UrdfTypes.URDF_BOX;
 
   // Parse the xml string
-  var xyz = options.xml.getAttribute('size').split(' ');
+  // empty if the required size is missing, see UrdfValidator
+  var xyz = (options.xml.getAttribute('size') || '0 0 0').split(' ');
   this.dimension = new Vector3({
     x : parseFloat(xyz[0]),
     y : parseFloat(xyz[1]),
@@ -27,4 +29,26 @@ function UrdfBox(options) {
   });
 }
 
+/**
+ * Convert this box into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfBox.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  return createElement(doc, 'box', {
+    size : formatVector(this.dimension)
+  });
+};
+
+/**
+ * Serialize this box to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfBox.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfBox;
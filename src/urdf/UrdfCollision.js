@@ -0,0 +1,63 @@
+/**
+ * @fileOverview
+ * The collision element of a URDF link.
+ */
+
+import { parseGeometry, parseOrigin } from './UrdfUtils';
+import { appendOrigin, appendUnknown, createDocument, createElement, serialize, unknownChildren } from './UrdfXml';
+
+var KNOWN_CHILDREN = ['origin', 'geometry'];
+
+/**
+ * A Collision element in a URDF.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * xml - the XML element to parse
+ *  * warn (optional) - function called with the warnings while parsing, default: console.warn
+ */
+function UrdfCollision(options) {
+  var xml = options.xml;
+  this.name = xml.getAttribute('name');
+
+  // Origin
+  this.origin = parseOrigin(xml);
+
+  // Geometry
+  this.geometry = parseGeometry(xml, options.warn);
+
+  // elements the parser does not understand, kept for serialization
+  this.unknownElements = unknownChildren(xml, KNOWN_CHILDREN);
+}
+
+/**
+ * Convert this collision into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfCollision.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'collision', {
+    name : this.name
+  });
+  appendOrigin(doc, element, this.origin);
+  if (this.geometry) {
+    var geometry = doc.createElement('geometry');
+    geometry.appendChild(this.geometry.toXML(doc));
+    element.appendChild(geometry);
+  }
+  appendUnknown(doc, element, this.unknownElements, KNOWN_CHILDREN);
+  return element;
+};
+
+/**
+ * Serialize this collision to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfCollision.prototype.toString = function() {
+  return serialize(this);
+};
+
+export default UrdfCollision;
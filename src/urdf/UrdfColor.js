@@ -4,6 +4,8 @@
  * @author Russell Toris - rctoris@wpi.edu
  */
 
+import { createDocument, createElement, serialize } from './UrdfXml';
+
 /**
  * A Color element in a URDF.
  *
@@ -13,11 +15,34 @@
  */
 function UrdfColor(options) {
   // Parse the xml string
-  var rgba = options.xml.getAttribute('rgba').split(' ');
+  // opaque black if the required rgba is missing, see UrdfValidator
+  var rgba = (options.xml.getAttribute('rgba') || '0 0 0 1').split(' ');
   this.r = parseFloat(rgba[0]);
   this.g = parseFloat(rgba[1]);
   this.b = parseFloat(rgba[2]);
   this.a = parseFloat(rgba[3]);
 }
 
+/**
+ * Convert this color into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfColor.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  return createElement(doc, 'color', {
+    rgba : [this.r, this.g, this.b, this.a].join(' ')
+  });
+};
+
+/**
+ * Serialize this color to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfColor.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfColor;
@@ -5,6 +5,7 @@
  */
 
 import UrdfTypes from './UrdfTypes';
+import { createDocument, createElement, serialize } from './UrdfXml';
 
 /**
  * A Cylinder element in a URDF.
@@ -19,4 +20,27 @@ function UrdfCylinder(options) {
   this.radius = parseFloat(options.xml.getAttribute('radius'));
 }
 
+/**
+ * Convert this cylinder into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfCylinder.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  return createElement(doc, 'cylinder', {
+    radius : this.radius,
+    length : this.length
+  });
+};
+
+/**
+ * Serialize this cylinder to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfCylinder.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfCylinder;
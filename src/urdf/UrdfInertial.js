@@ -0,0 +1,82 @@
+/**
+ * @fileOverview
+ * The inertial element of a URDF link.
+ */
+
+import { parseOrigin } from './UrdfUtils';
+import { appendOrigin, appendUnknown, createDocument, createElement, serialize, unknownChildren } from './UrdfXml';
+
+var KNOWN_CHILDREN = ['origin', 'mass', 'inertia'];
+
+/**
+ * An Inertial element in a URDF.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * xml - the XML element to parse
+ */
+function UrdfInertial(options) {
+  var xml = options.xml;
+  this.mass = 0;
+  // the inertia tensor, relative to the origin
+  this.inertia = {
+    ixx : 0,
+    ixy : 0,
+    ixz : 0,
+    iyy : 0,
+    iyz : 0,
+    izz : 0
+  };
+
+  // Origin, the center of mass
+  this.origin = parseOrigin(xml);
+
+  // Mass
+  var masses = xml.getElementsByTagName('mass');
+  if (masses.length > 0) {
+    this.mass = parseFloat(masses[0].getAttribute('value'));
+  }
+
+  // Inertia
+  var inertias = xml.getElementsByTagName('inertia');
+  if (inertias.length > 0) {
+    for (var key in this.inertia) {
+      var value = inertias[0].getAttribute(key);
+      if (value) {
+        this.inertia[key] = parseFloat(value);
+      }
+    }
+  }
+
+  // elements the parser does not understand, kept for serialization
+  this.unknownElements = unknownChildren(xml, KNOWN_CHILDREN);
+}
+
+/**
+ * Convert this inertial into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfInertial.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = doc.createElement('inertial');
+  appendOrigin(doc, element, this.origin);
+  element.appendChild(createElement(doc, 'mass', {
+    value : this.mass
+  }));
+  element.appendChild(createElement(doc, 'inertia', this.inertia));
+  appendUnknown(doc, element, this.unknownElements, KNOWN_CHILDREN);
+  return element;
+};
+
+/**
+ * Serialize this inertial to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfInertial.prototype.toString = function() {
+  return serialize(this);
+};
+
+export default UrdfInertial;
@@ -3,12 +3,18 @@
  * @author David V. Lu!!  davidvlu@gmail.com
  */
 
-import Pose from '../math/Pose';
 import Quaternion from '../math/Quaternion';
+import Transform from '../math/Transform';
 import Vector3 from '../math/Vector3';
+import { parseFloatAttribute, parseOrigin } from './UrdfUtils';
+import { appendOrigin, appendUnknown, createDocument, createElement, formatVector, serialize, unknownChildren } from './UrdfXml';
+
+var KNOWN_CHILDREN = ['origin', 'parent', 'child', 'axis', 'limit', 'dynamics', 'mimic', 'safety_controller',
+  'calibration'];
 
 /**
- * A Joint element in a URDF.
+ * A Joint element in a URDF. Optional elements missing from the joint are
+ * given the defaults of the URDF specification, or null if it has none.
  *
  * @constructor
  * @param options - object with following keys:
@@ -29,63 +35,165 @@ function UrdfJoint(options) {
   }
 
   var limits = options.xml.getElementsByTagName('limit');
+  this.effort = null;
+  this.velocity = null;
   if (limits.length > 0) {
-    this.minval = parseFloat( limits[0].getAttribute('lower') );
-    this.maxval = parseFloat( limits[0].getAttribute('upper') );
+    this.minval = parseFloatAttribute(limits[0], 'lower', 0);
+    this.maxval = parseFloatAttribute(limits[0], 'upper', 0);
+    this.effort = parseFloatAttribute(limits[0], 'effort', null);
+    this.velocity = parseFloatAttribute(limits[0], 'velocity', null);
   }
 
-  // Origin
-  var origins = options.xml.getElementsByTagName('origin');
-  if (origins.length === 0) {
-    // use the identity as the default
-    this.origin = new Pose();
-  } else {
-    // Check the XYZ
-    var xyz = origins[0].getAttribute('xyz');
-    var position = new Vector3();
-    if (xyz) {
-      xyz = xyz.split(' ');
-      position = new Vector3({
-        x : parseFloat(xyz[0]),
-        y : parseFloat(xyz[1]),
-        z : parseFloat(xyz[2])
-      });
-    }
-
-    // Check the RPY
-    var rpy = origins[0].getAttribute('rpy');
-    var orientation = new Quaternion();
-    if (rpy) {
-      rpy = rpy.split(' ');
-      // Convert from RPY
-      var roll = parseFloat(rpy[0]);
-      var pitch = parseFloat(rpy[1]);
-      var yaw = parseFloat(rpy[2]);
-      var phi = roll / 2.0;
-      var the = pitch / 2.0;
-      var psi = yaw / 2.0;
-      var x = Math.sin(phi) * Math.cos(the) * Math.cos(psi) - Math.cos(phi) * Math.sin(the)
-          * Math.sin(psi);
-      var y = Math.cos(phi) * Math.sin(the) * Math.cos(psi) + Math.sin(phi) * Math.cos(the)
-          * Math.sin(psi);
-      var z = Math.cos(phi) * Math.cos(the) * Math.sin(psi) - Math.sin(phi) * Math.sin(the)
-          * Math.cos(psi);
-      var w = Math.cos(phi) * Math.cos(the) * Math.cos(psi) + Math.sin(phi) * Math.sin(the)
-          * Math.sin(psi);
-
-      orientation = new Quaternion({
-        x : x,
-        y : y,
-        z : z,
-        w : w
-      });
-      orientation.normalize();
-    }
-    this.origin = new Pose({
-      position : position,
-      orientation : orientation
+  // Axis, in the joint frame
+  var axes = options.xml.getElementsByTagName('axis');
+  this.axis = new Vector3({ x : 1 });
+  if (axes.length > 0 && axes[0].getAttribute('xyz')) {
+    var xyz = axes[0].getAttribute('xyz').split(' ');
+    this.axis = new Vector3({
+      x : parseFloat(xyz[0]),
+      y : parseFloat(xyz[1]),
+      z : parseFloat(xyz[2])
     });
   }
+
+  // Dynamics
+  var dynamics = options.xml.getElementsByTagName('dynamics');
+  this.dynamics = {
+    damping : 0,
+    friction : 0
+  };
+  if (dynamics.length > 0) {
+    this.dynamics.damping = parseFloatAttribute(dynamics[0], 'damping', 0);
+    this.dynamics.friction = parseFloatAttribute(dynamics[0], 'friction', 0);
+  }
+
+  // Mimic, position = multiplier * position of the mimicked joint + offset
+  var mimics = options.xml.getElementsByTagName('mimic');
+  this.mimic = null;
+  if (mimics.length > 0) {
+    this.mimic = {
+      joint : mimics[0].getAttribute('joint'),
+      multiplier : parseFloatAttribute(mimics[0], 'multiplier', 1),
+      offset : parseFloatAttribute(mimics[0], 'offset', 0)
+    };
+  }
+
+  // Safety controller
+  var safetyControllers = options.xml.getElementsByTagName('safety_controller');
+  this.safetyController = null;
+  if (safetyControllers.length > 0) {
+    this.safetyController = {
+      softLowerLimit : parseFloatAttribute(safetyControllers[0], 'soft_lower_limit', 0),
+      softUpperLimit : parseFloatAttribute(safetyControllers[0], 'soft_upper_limit', 0),
+      kPosition : parseFloatAttribute(safetyControllers[0], 'k_position', 0),
+      kVelocity : parseFloatAttribute(safetyControllers[0], 'k_velocity', null)
+    };
+  }
+
+  // Calibration, the joint positions of the reference edges
+  var calibrations = options.xml.getElementsByTagName('calibration');
+  this.calibration = null;
+  if (calibrations.length > 0) {
+    this.calibration = {
+      rising : parseFloatAttribute(calibrations[0], 'rising', null),
+      falling : parseFloatAttribute(calibrations[0], 'falling', null)
+    };
+  }
+
+  // Origin
+  this.origin = parseOrigin(options.xml);
+
+  // elements the parser does not understand, kept for serialization
+  this.unknownElements = unknownChildren(options.xml, KNOWN_CHILDREN);
 }
 
+/**
+ * Get the transform from the child link frame into the parent link frame.
+ *
+ * @param position - the joint position, an angle in radians for revolute and continuous joints
+ *   or a distance in meters for prismatic joints, ignored for other joints
+ * @returns the ROSLIB.Transform
+ */
+UrdfJoint.prototype.getTransform = function(position) {
+  var origin = new Transform({
+    translation : this.origin.position,
+    rotation : this.origin.orientation
+  });
+  position = position || 0;
+  if (this.type === 'revolute' || this.type === 'continuous') {
+    return origin.multiply(new Transform({
+      rotation : Quaternion.fromAxisAngle(this.axis, position)
+    }));
+  } else if (this.type === 'prismatic') {
+    var axis = Vector3.normalize(this.axis);
+    axis.multiplyScalar(position);
+    return origin.multiply(new Transform({
+      translation : axis
+    }));
+  }
+  return origin;
+};
+
+/**
+ * Convert this joint into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfJoint.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'joint', {
+    name : this.name,
+    type : this.type
+  });
+  appendOrigin(doc, element, this.origin);
+  element.appendChild(createElement(doc, 'parent', {
+    link : this.parent
+  }));
+  element.appendChild(createElement(doc, 'child', {
+    link : this.child
+  }));
+  if (this.axis.x !== 1 || this.axis.y !== 0 || this.axis.z !== 0) {
+    element.appendChild(createElement(doc, 'axis', {
+      xyz : formatVector(this.axis)
+    }));
+  }
+  if (this.minval !== undefined || this.effort !== null || this.velocity !== null) {
+    element.appendChild(createElement(doc, 'limit', {
+      lower : this.minval,
+      upper : this.maxval,
+      effort : this.effort,
+      velocity : this.velocity
+    }));
+  }
+  if (this.dynamics.damping !== 0 || this.dynamics.friction !== 0) {
+    element.appendChild(createElement(doc, 'dynamics', this.dynamics));
+  }
+  if (this.mimic) {
+    element.appendChild(createElement(doc, 'mimic', this.mimic));
+  }
+  if (this.safetyController) {
+    element.appendChild(createElement(doc, 'safety_controller', {
+      soft_lower_limit : this.safetyController.softLowerLimit,
+      soft_upper_limit : this.safetyController.softUpperLimit,
+      k_position : this.safetyController.kPosition,
+      k_velocity : this.safetyController.kVelocity
+    }));
+  }
+  if (this.calibration) {
+    element.appendChild(createElement(doc, 'calibration', this.calibration));
+  }
+  appendUnknown(doc, element, this.unknownElements, KNOWN_CHILDREN);
+  return element;
+};
+
+/**
+ * Serialize this joint to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfJoint.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfJoint;
@@ -4,7 +4,12 @@
  * @author Russell Toris - rctoris@wpi.edu
  */
 
+import UrdfCollision from './UrdfCollision';
+import UrdfInertial from './UrdfInertial';
 import UrdfVisual from './UrdfVisual';
+import { appendUnknown, createDocument, createElement, serialize, unknownChildren } from './UrdfXml';
+
+var KNOWN_CHILDREN = ['inertial', 'visual', 'collision'];
 
 /**
  * A Link element in a URDF.
@@ -12,6 +17,7 @@ import UrdfVisual from './UrdfVisual';
  * @constructor
  * @param options - object with following keys:
  *  * xml - the XML element to parse
+ *  * warn (optional) - function called with the warnings while parsing, default: console.warn
  */
 function UrdfLink(options) {
   this.name = options.xml.getAttribute('name');
@@ -20,9 +26,63 @@ function UrdfLink(options) {
 
   for( var i=0; i<visuals.length; i++ ) {
     this.visuals.push( new UrdfVisual({
-      xml : visuals[i]
+      xml : visuals[i],
+      warn : options.warn
+    }) );
+  }
+
+  this.collisions = [];
+  var collisions = options.xml.getElementsByTagName('collision');
+  for( var j=0; j<collisions.length; j++ ) {
+    this.collisions.push( new UrdfCollision({
+      xml : collisions[j],
+      warn : options.warn
     }) );
   }
+
+  this.inertial = null;
+  var inertials = options.xml.getElementsByTagName('inertial');
+  if (inertials.length > 0) {
+    this.inertial = new UrdfInertial({
+      xml : inertials[0]
+    });
+  }
+
+  // elements the parser does not understand, kept for serialization
+  this.unknownElements = unknownChildren(options.xml, KNOWN_CHILDREN);
 }
 
+/**
+ * Convert this link into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfLink.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'link', {
+    name : this.name
+  });
+  if (this.inertial) {
+    element.appendChild(this.inertial.toXML(doc));
+  }
+  this.visuals.forEach(function(visual) {
+    element.appendChild(visual.toXML(doc));
+  });
+  this.collisions.forEach(function(collision) {
+    element.appendChild(collision.toXML(doc));
+  });
+  appendUnknown(doc, element, this.unknownElements, KNOWN_CHILDREN);
+  return element;
+};
+
+/**
+ * Serialize this link to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfLink.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfLink;
@@ -0,0 +1,209 @@
+/**
+ * @fileOverview
+ * Loading of the robot description from a running robot.
+ */
+
+import Param from '../core/Param';
+import RosError from '../core/RosError';
+import Topic from '../core/Topic';
+import SdfModel from './SdfModel';
+import UrdfModel from './UrdfModel';
+import EventEmitter2 from 'events';
+
+/**
+ * Loads the robot description into a UrdfModel, and loads it again whenever it
+ * changes. The description is taken from the first of:
+ *  * the `param` parameter (ROS 1)
+ *  * the `param` parameter of the `node` node (ROS 2)
+ *  * the latched `topic` (ROS 2)
+ *
+ * Changes are published on the latched topic. Parameters have no change
+ * notifications, so with a `pollInterval` they are fetched again in that
+ * interval while connected. SDF descriptions are parsed into a SdfModel.
+ *
+ * Emits the following events:
+ *  * 'model' - the UrdfModel of a new or changed description
+ *  * 'error' - the Error if the description could not be parsed, when listened for
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * ros - the ROSLIB.Ros connection handle
+ *  * param (optional) - the name of the parameter, default: 'robot_description'
+ *  * node (optional) - the ROS 2 node with the parameter, default: 'robot_state_publisher'
+ *  * topic (optional) - the topic of the description, null to not subscribe, default: '/robot_description'
+ *  * pollInterval (optional) - the time (in ms) between fetches of the parameter, 0 to fetch
+ *    it once, default: 0
+ *  * validate (optional) - whether to validate the description, see UrdfModel, default: false
+ */
+function UrdfLoader(options) {
+  EventEmitter2.call(this);
+  options = options || {};
+  this.ros = options.ros;
+  this.param = options.param || 'robot_description';
+  this.node = options.node || 'robot_state_publisher';
+  this.pollInterval = options.pollInterval || 0;
+  this.validate = !!options.validate;
+  this.model = null;
+  this.description = null;
+  // the Error parsing the latest description, if it failed
+  this.parseError = null;
+  // the parameter found to hold the description
+  this._paramName = null;
+  this._fetching = false;
+
+  var that = this;
+  this.topic = null;
+  var topicName = options.topic !== undefined ? options.topic : '/robot_description';
+  if (topicName) {
+    this.topic = new Topic({
+      ros : this.ros,
+      name : topicName,
+      messageType : 'std_msgs/String'
+    });
+    this._messageCallback = function(message) {
+      that._update(message.data);
+    };
+    this.topic.subscribe(this._messageCallback);
+  }
+
+  this._fetch();
+  this._timer = null;
+  if (this.pollInterval > 0) {
+    this._timer = setInterval(function() {
+      // queued calls would pile up while disconnected
+      if (that.ros.isConnected && !that._fetching) {
+        that._fetch();
+      }
+    }, this.pollInterval);
+  }
+}
+
+UrdfLoader.prototype = Object.create(EventEmitter2.prototype);
+UrdfLoader.prototype.constructor = UrdfLoader;
+
+/**
+ * Get the model, waiting for the description if it was not loaded yet.
+ *
+ * @param options - object with following keys (optional):
+ *   * timeout - the time (in ms) to wait for the description
+ * @returns a Promise of the UrdfModel, rejected with the Error if the description could
+ *   not be parsed, or with a ROSLIB.RosError with code 'TIMEOUT' if it did not arrive in time
+ */
+UrdfLoader.prototype.load = function(options) {
+  options = options || {};
+  var that = this;
+  if (this.model) {
+    return Promise.resolve(this.model);
+  }
+  if (this.parseError) {
+    return Promise.reject(this.parseError);
+  }
+  return new Promise(function(resolve, reject) {
+    var timer = null;
+    var cleanUp = function() {
+      clearTimeout(timer);
+      that.removeListener('model', onModel);
+      that.removeListener('error', onError);
+    };
+    var onModel = function(model) {
+      cleanUp();
+      resolve(model);
+    };
+    var onError = function(error) {
+      cleanUp();
+      reject(error);
+    };
+    that.on('model', onModel);
+    that.on('error', onError);
+    if (options.timeout) {
+      timer = setTimeout(function() {
+        cleanUp();
+        reject(new RosError('Timed out waiting for the robot description', {
+          code : 'TIMEOUT',
+          operation : that._paramName || that.param
+        }));
+      }, options.timeout);
+    }
+  });
+};
+
+/**
+ * Stop fetching the parameter and unsubscribe from the topic.
+ */
+UrdfLoader.prototype.dispose = function() {
+  if (this._timer !== null) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+  if (this.topic) {
+    this.topic.unsubscribe(this._messageCallback);
+  }
+};
+
+/**
+ * Fetch the parameter, trying the ROS 1 name and then the ROS 2 node parameter.
+ *
+ * @private
+ */
+UrdfLoader.prototype._fetch = function() {
+  var that = this;
+  var get = function(name) {
+    return new Param({
+      ros : that.ros,
+      name : name
+    }).get().then(function(value) {
+      if (typeof value !== 'string' || !value) {
+        throw new Error('No description in ' + name);
+      }
+      that._paramName = name;
+      return value;
+    });
+  };
+  var names = this._paramName ? [this._paramName] : [this.param, this.node + ':' + this.param];
+
+  this._fetching = true;
+  var attempt = get(names[0]);
+  names.slice(1).forEach(function(name) {
+    attempt = attempt.catch(function() {
+      return get(name);
+    });
+  });
+  return attempt.then(function(description) {
+    that._fetching = false;
+    that._update(description);
+  }, function() {
+    // not set (yet), or only published on the topic
+    that._fetching = false;
+  });
+};
+
+/**
+ * Parse a description and emit the model if it changed.
+ *
+ * @private
+ */
+UrdfLoader.prototype._update = function(description) {
+  if (description === this.description) {
+    return;
+  }
+  this.description = description;
+  var Model = /<sdf[\s>]/.test(description) ? SdfModel : UrdfModel;
+  var model;
+  try {
+    model = new Model({
+      string : description,
+      validate : this.validate
+    });
+  } catch (error) {
+    this.parseError = error;
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+    return;
+  }
+  this.parseError = null;
+  this.model = model;
+  this.emit('model', model);
+};
+
+export default UrdfLoader;
@@ -5,6 +5,7 @@
  */
 
 import UrdfColor from './UrdfColor';
+import { createDocument, createElement, serialize } from './UrdfXml';
 
 /**
  * A Material element in a URDF.
@@ -43,4 +44,35 @@ UrdfMaterial.prototype.assign = function(obj) {
     return Object.assign(this, obj);
 };
 
+/**
+ * Convert this material into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfMaterial.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'material', {
+    name : this.name
+  });
+  if (this.color) {
+    element.appendChild(this.color.toXML(doc));
+  }
+  if (this.textureFilename) {
+    element.appendChild(createElement(doc, 'texture', {
+      filename : this.textureFilename
+    }));
+  }
+  return element;
+};
+
+/**
+ * Serialize this material to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfMaterial.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfMaterial;
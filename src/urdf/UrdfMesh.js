@@ -5,7 +5,9 @@
  */
 
 import Vector3 from '../math/Vector3';
+import MeshLoader from './MeshLoader';
 import UrdfTypes from './UrdfTypes';
+import { createDocument, createElement, formatVector, serialize } from './UrdfXml';
 
 /**
  * A Mesh element in a URDF.
@@ -33,4 +35,41 @@ function UrdfMesh(options) {
   }
 }
 
+/**
+ * Load and parse the mesh file, with the scale applied.
+ *
+ * @param resolver (optional) - the ROSLIB.ResourceResolver to load the file with
+ * @returns a Promise of an object with the Float32Array `vertices` and `normals` and
+ *   the Uint32Array `indices` of the triangles, see ROSLIB.MeshLoader
+ */
+UrdfMesh.prototype.load = function(resolver) {
+  return MeshLoader.load(this.filename, {
+    resolver : resolver,
+    scale : this.scale
+  });
+};
+
+/**
+ * Convert this mesh into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfMesh.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  return createElement(doc, 'mesh', {
+    filename : this.filename,
+    scale : this.scale && formatVector(this.scale)
+  });
+};
+
+/**
+ * Serialize this mesh to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfMesh.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfMesh;
@@ -4,9 +4,13 @@
  * @author Russell Toris - rctoris@wpi.edu
  */
 
+import Pose from '../math/Pose';
+import Transform from '../math/Transform';
 import UrdfMaterial from './UrdfMaterial';
 import UrdfLink from'./UrdfLink';
 import UrdfJoint from'./UrdfJoint';
+import UrdfValidator from './UrdfValidator';
+import { appendUnknown, createDocument, createElement, serialize } from './UrdfXml';
 import xmldom from 'xmldom';
 const { DOMParser } = xmldom;
 
@@ -15,11 +19,17 @@ var XPATH_FIRST_ORDERED_NODE_TYPE = 9;
 
 /**
  * A URDF Model can be used to parse a given URDF into the appropriate elements.
+ * The links are connected into a tree: `rootLink` is the link without a parent,
+ * and every link gets its `parentJoint` (null for the root) and `childJoints`.
+ *
+ * With `validate`, the problems of the URDF are collected in `diagnostics` by a
+ * ROSLIB.UrdfValidator instead of being logged, and the valid parts are parsed.
  *
  * @constructor
  * @param options - object with following keys:
  *  * xml - the XML element to parse
  *  * string - the XML element to parse as a string
+ *  * validate (optional) - whether to validate the URDF, default: false
  */
 function UrdfModel(options) {
   options = options || {};
@@ -28,9 +38,22 @@ function UrdfModel(options) {
   this.materials = {};
   this.links = {};
   this.joints = {};
+  // top level elements the parser does not understand, like <gazebo>, kept for serialization
+  this.unknownElements = [];
+  // the names of materials defined inline in a visual, written there only
+  this._inlineMaterials = {};
+  this.rootLink = null;
 
-  // Check if we are using a string or an XML element
-  if (string) {
+  if (options.validate) {
+    var validator = new UrdfValidator(options);
+    this.diagnostics = validator.diagnostics;
+    // the validator reported everything already
+    this._warn = function() {};
+    xmlDoc = validator.xml;
+    if (!xmlDoc || !xmlDoc.documentElement || xmlDoc.documentElement.tagName !== 'robot') {
+      return;
+    }
+  } else if (string) {
     // Parse the string
     var parser = new DOMParser();
     xmlDoc = parser.parseFromString(string, 'text/xml');
@@ -55,18 +78,19 @@ function UrdfModel(options) {
         if( this.materials[material.name].isLink() ) {
           this.materials[material.name].assign( material );
         } else {
-          console.warn('Material ' + material.name + 'is not unique.');
+          this._warn('Material ' + material.name + 'is not unique.');
         }
       } else {
         this.materials[material.name] = material;
       }
     } else if (node.tagName === 'link') {
       var link = new UrdfLink({
-        xml : node
+        xml : node,
+        warn : this._warn
       });
       // Make sure this is unique
       if (this.links[link.name] !== void 0) {
-        console.warn('Link ' + link.name + ' is not unique.');
+        this._warn('Link ' + link.name + ' is not unique.');
       } else {
         // Check for a material
         for( var j=0; j<link.visuals.length; j++ )
@@ -77,6 +101,9 @@ function UrdfModel(options) {
               link.visuals[j].material = this.materials[mat.name];
             } else {
               this.materials[mat.name] = mat;
+              if (!mat.isLink()) {
+                this._inlineMaterials[mat.name] = true;
+              }
             }
           }
         }
@@ -89,8 +116,144 @@ function UrdfModel(options) {
         xml : node
       });
       this.joints[joint.name] = joint;
+    } else if (node.nodeType === 1) {
+      this.unknownElements.push(node);
     }
   }
+
+  this._buildTree();
 }
 
+/**
+ * Report a problem found while parsing.
+ *
+ * @private
+ * @param message - the description of the problem
+ */
+UrdfModel.prototype._warn = function(message) {
+  console.warn(message);
+};
+
+/**
+ * Connect the links through their joints.
+ *
+ * @private
+ */
+UrdfModel.prototype._buildTree = function() {
+  var name;
+  for (name in this.links) {
+    this.links[name].parentJoint = null;
+    this.links[name].childJoints = [];
+  }
+  for (name in this.joints) {
+    var joint = this.joints[name];
+    var parent = this.links[joint.parent];
+    var child = this.links[joint.child];
+    if (!parent || !child) {
+      this._warn('Joint ' + joint.name + ' connects unknown links.');
+      continue;
+    }
+    child.parentJoint = joint;
+    parent.childJoints.push(joint);
+  }
+
+  this.rootLink = null;
+  for (name in this.links) {
+    if (this.links[name].parentJoint === null) {
+      if (this.rootLink === null) {
+        this.rootLink = this.links[name];
+      } else {
+        this._warn('Link ' + name + ' is another root besides ' + this.rootLink.name + '.');
+      }
+    }
+  }
+};
+
+/**
+ * Compute the poses of all links relative to the root link (forward kinematics).
+ * Mimic joints follow the joint they mimic, joints without a position are at zero.
+ *
+ * @param jointState - the joint positions, either as a map of joint names to positions,
+ *   or as a sensor_msgs/JointState with `name` and `position` arrays
+ * @returns a map of link names to ROSLIB.Pose
+ */
+UrdfModel.prototype.computeLinkPoses = function(jointState) {
+  jointState = jointState || {};
+  var positions = jointState;
+  if (Array.isArray(jointState.name) && Array.isArray(jointState.position)) {
+    positions = {};
+    jointState.name.forEach(function(name, i) {
+      positions[name] = jointState.position[i];
+    });
+  }
+
+  var joints = this.joints;
+  var positionOf = function(joint) {
+    if (joint.mimic && joints[joint.mimic.joint]) {
+      return joint.mimic.multiplier * (positions[joint.mimic.joint] || 0) + joint.mimic.offset;
+    }
+    return positions[joint.name] || 0;
+  };
+
+  var poses = {};
+  var links = this.links;
+  var visit = function(link, transform) {
+    // guard against links with several parents closing a loop
+    if (poses[link.name]) {
+      return;
+    }
+    poses[link.name] = new Pose({
+      position : transform.translation,
+      orientation : transform.rotation
+    });
+    link.childJoints.forEach(function(joint) {
+      visit(links[joint.child], transform.multiply(joint.getTransform(positionOf(joint))));
+    });
+  };
+  for (var name in links) {
+    // start at every root, links of other trees are relative to their own root
+    if (links[name].parentJoint === null) {
+      visit(links[name], new Transform());
+    }
+  }
+  return poses;
+};
+
+/**
+ * Convert this robot model into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfModel.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'robot', {
+    name : this.name
+  });
+  var name;
+  for (name in this.materials) {
+    // references to materials defined elsewhere have nothing to write
+    if (!this.materials[name].isLink() && !this._inlineMaterials[name]) {
+      element.appendChild(this.materials[name].toXML(doc));
+    }
+  }
+  for (name in this.links) {
+    element.appendChild(this.links[name].toXML(doc));
+  }
+  for (name in this.joints) {
+    element.appendChild(this.joints[name].toXML(doc));
+  }
+  appendUnknown(doc, element, this.unknownElements, ['material', 'link', 'joint']);
+  return element;
+};
+
+/**
+ * Serialize this robot model to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfModel.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfModel;
@@ -5,6 +5,7 @@
  */
 
 import UrdfTypes from './UrdfTypes';
+import { createDocument, createElement, serialize } from './UrdfXml';
 
 /**
  * A Sphere element in a URDF.
@@ -18,4 +19,26 @@ function UrdfSphere(options) {
   this.radius = parseFloat(options.xml.getAttribute('radius'));
 }
 
+/**
+ * Convert this sphere into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfSphere.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  return createElement(doc, 'sphere', {
+    radius : this.radius
+  });
+};
+
+/**
+ * Serialize this sphere to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfSphere.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfSphere;
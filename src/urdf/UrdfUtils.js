@@ -0,0 +1,120 @@
+/**
+ * @fileOverview
+ * Parsing helpers shared by the URDF elements.
+ */
+
+import Pose from '../math/Pose';
+import Quaternion from '../math/Quaternion';
+import Vector3 from '../math/Vector3';
+
+import UrdfBox from './UrdfBox';
+import UrdfCylinder from './UrdfCylinder';
+import UrdfMesh from './UrdfMesh';
+import UrdfSphere from './UrdfSphere';
+
+/**
+ * Parse a numeric attribute of a URDF element.
+ *
+ * @private
+ * @param xml - the XML element
+ * @param name - the name of the attribute
+ * @param defaultValue - the value to use if the attribute is missing
+ * @returns the number
+ */
+export function parseFloatAttribute(xml, name, defaultValue) {
+  var value = xml.getAttribute(name);
+  return value ? parseFloat(value) : defaultValue;
+}
+
+/**
+ * Parse the origin of a URDF element.
+ *
+ * @private
+ * @param xml - the XML element containing the origin, like a visual or joint
+ * @returns the Pose of the origin, the identity if there is none
+ */
+export function parseOrigin(xml) {
+  var origins = xml.getElementsByTagName('origin');
+  if (origins.length === 0) {
+    // use the identity as the default
+    return new Pose();
+  }
+
+  // Check the XYZ
+  var xyz = origins[0].getAttribute('xyz');
+  var position = new Vector3();
+  if (xyz) {
+    xyz = xyz.split(' ');
+    position = new Vector3({
+      x : parseFloat(xyz[0]),
+      y : parseFloat(xyz[1]),
+      z : parseFloat(xyz[2])
+    });
+  }
+
+  // Check the RPY
+  var rpy = origins[0].getAttribute('rpy');
+  var orientation = new Quaternion();
+  if (rpy) {
+    rpy = rpy.split(' ');
+    orientation = Quaternion.fromEuler(parseFloat(rpy[0]), parseFloat(rpy[1]), parseFloat(rpy[2]));
+  }
+  return new Pose({
+    position : position,
+    orientation : orientation
+  });
+}
+
+/**
+ * Parse the geometry of a URDF element.
+ *
+ * @private
+ * @param xml - the XML element containing the geometry, like a visual or collision
+ * @param warn (optional) - function called with the warnings, default: console.warn
+ * @returns the UrdfBox, UrdfCylinder, UrdfMesh or UrdfSphere, or null if there is none
+ */
+export function parseGeometry(xml, warn) {
+  warn = warn || function(message) {
+    console.warn(message);
+  };
+  var geoms = xml.getElementsByTagName('geometry');
+  if (geoms.length === 0) {
+    return null;
+  }
+  var geom = geoms[0];
+  var shape = null;
+  // Check for the shape
+  for (var i = 0; i < geom.childNodes.length; i++) {
+    var node = geom.childNodes[i];
+    if (node.nodeType === 1) {
+      shape = node;
+      break;
+    }
+  }
+  if (shape === null) {
+    warn('Empty geometry');
+    return null;
+  }
+  // Check the type
+  var type = shape.nodeName;
+  if (type === 'sphere') {
+    return new UrdfSphere({
+      xml : shape
+    });
+  } else if (type === 'box') {
+    return new UrdfBox({
+      xml : shape
+    });
+  } else if (type === 'cylinder') {
+    return new UrdfCylinder({
+      xml : shape
+    });
+  } else if (type === 'mesh') {
+    return new UrdfMesh({
+      xml : shape
+    });
+  } else {
+    warn('Unknown geometry type ' + type);
+    return null;
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * @fileOverview
+ * Validation of URDF documents.
+ */
+
+import xmldom from 'xmldom';
+const { DOMParser } = xmldom;
+
+var JOINT_TYPES = ['revolute', 'continuous', 'prismatic', 'fixed', 'floating', 'planar'];
+
+// per element: the attributes it needs, and the numbers in its numeric attributes
+var ATTRIBUTES = {
+  link : { required : ['name'] },
+  joint : { required : ['name', 'type'] },
+  material : { required : ['name'] },
+  parent : { required : ['link'] },
+  child : { required : ['link'] },
+  origin : { numbers : { xyz : 3, rpy : 3 } },
+  axis : { numbers : { xyz : 3 } },
+  limit : {
+    required : ['effort', 'velocity'],
+    numbers : { lower : 1, upper : 1, effort : 1, velocity : 1 }
+  },
+  dynamics : { numbers : { damping : 1, friction : 1 } },
+  mimic : { required : ['joint'], numbers : { multiplier : 1, offset : 1 } },
+  safety_controller : {
+    required : ['k_velocity'],
+    numbers : { soft_lower_limit : 1, soft_upper_limit : 1, k_position : 1, k_velocity : 1 }
+  },
+  calibration : { numbers : { rising : 1, falling : 1 } },
+  mass : { required : ['value'], numbers : { value : 1 } },
+  inertia : {
+    required : ['ixx', 'ixy', 'ixz', 'iyy', 'iyz', 'izz'],
+    numbers : { ixx : 1, ixy : 1, ixz : 1, iyy : 1, iyz : 1, izz : 1 }
+  },
+  box : { required : ['size'], numbers : { size : 3 } },
+  cylinder : { required : ['radius', 'length'], numbers : { radius : 1, length : 1 } },
+  sphere : { required : ['radius'], numbers : { radius : 1 } },
+  mesh : { required : ['filename'], numbers : { scale : 3 } },
+  color : { required : ['rgba'], numbers : { rgba : 4 } },
+  texture : { required : ['filename'] }
+};
+
+/**
+ * Checks a URDF for the problems that make it invalid or parse incompletely,
+ * collecting them instead of throwing or logging.
+ *
+ * Every diagnostic is an object with the keys:
+ *  * path - the XPath of the element with the problem, like /robot/link[@name="base"]/visual
+ *  * severity - 'error' for invalid URDF, 'warning' for likely mistakes
+ *  * message - the description of the problem
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * xml - the XML document to validate
+ *  * string - the XML document to validate as a string
+ */
+function UrdfValidator(options) {
+  options = options || {};
+  this.diagnostics = [];
+  this.xml = options.xml;
+  var that = this;
+  if (options.string !== undefined) {
+    // everything xmldom reports makes the document malformed, even its warnings
+    var reported = {};
+    var report = function(message) {
+      // like '[xmldom error]\tunexpected end of input\n@#[line:1,col:1]'
+      message = message.replace(/^\[xmldom \w+\]\s*/, '').split('\n')[0];
+      // what xmldom says about elements left open at the end
+      if (message === 'unclosed xml attribute') {
+        message = 'an element is not closed, the document may be truncated';
+      }
+      if (!reported[message]) {
+        reported[message] = true;
+        that._report(null, 'error', 'Malformed XML: ' + message);
+      }
+    };
+    this.xml = new DOMParser({
+      errorHandler : {
+        warning : report,
+        error : report,
+        fatalError : report
+      }
+    }).parseFromString(options.string, 'text/xml');
+  }
+
+  var robotXml = this.xml && this.xml.documentElement;
+  if (!robotXml) {
+    this._report(null, 'error', 'The document has no root element');
+    return;
+  }
+  if (robotXml.tagName !== 'robot') {
+    this._report(robotXml, 'error', 'The root element is <' + robotXml.tagName + '>, not <robot>');
+    return;
+  }
+  if (!robotXml.getAttribute('name')) {
+    this._report(robotXml, 'error', 'The robot has no name');
+  }
+
+  var links = {};
+  var joints = {};
+  var materials = {};
+  childElements(robotXml).forEach(function(node) {
+    if (node.tagName === 'link') {
+      that._checkElements(node);
+      that._checkUnique(node, links, 'link');
+      childElements(node).forEach(function(child) {
+        if (child.tagName === 'visual' || child.tagName === 'collision') {
+          that._checkGeometry(child);
+        }
+      });
+    } else if (node.tagName === 'joint') {
+      that._checkElements(node);
+      that._checkUnique(node, joints, 'joint');
+    } else if (node.tagName === 'material') {
+      that._checkElements(node);
+      that._checkUnique(node, materials, 'material');
+    }
+  });
+
+  this._checkMaterials(links, materials);
+  this._checkJoints(links, joints);
+}
+
+/**
+ * Whether no errors were found.
+ *
+ * @returns true if the URDF is valid
+ */
+UrdfValidator.prototype.isValid = function() {
+  return this.diagnostics.every(function(diagnostic) {
+    return diagnostic.severity !== 'error';
+  });
+};
+
+/**
+ * @private
+ */
+UrdfValidator.prototype._report = function(element, severity, message) {
+  this.diagnostics.push({
+    path : element ? pathOf(element) : '/',
+    severity : severity,
+    message : message
+  });
+};
+
+/**
+ * Check the required and numeric attributes of an element and all elements in it.
+ *
+ * @private
+ */
+UrdfValidator.prototype._checkElements = function(element) {
+  var spec = ATTRIBUTES[element.tagName];
+  if (spec) {
+    var that = this;
+    (spec.required || []).forEach(function(name) {
+      if (!element.getAttribute(name)) {
+        that._report(element, 'error', 'Missing the required attribute ' + name);
+      }
+    });
+    Object.keys(spec.numbers || {}).forEach(function(name) {
+      var value = element.getAttribute(name);
+      if (!value) {
+        return;
+      }
+      var values = value.trim().split(/\s+/);
+      var count = spec.numbers[name];
+      if (values.length !== count || values.some(isNaN)) {
+        that._report(element, 'error', 'The attribute ' + name + '="' + value + '" is not ' +
+          (count === 1 ? 'a number' : count + ' numbers'));
+      }
+    });
+  }
+  childElements(element).forEach(this._checkElements.bind(this));
+};
+
+/**
+ * @private
+ */
+UrdfValidator.prototype._checkUnique = function(element, seen, kind) {
+  var name = element.getAttribute('name');
+  if (!name) {
+    return;
+  }
+  if (seen[name]) {
+    this._report(element, 'error', 'The ' + kind + ' name ' + name + ' is not unique');
+  } else {
+    seen[name] = element;
+  }
+};
+
+/**
+ * @private
+ */
+UrdfValidator.prototype._checkGeometry = function(element) {
+  var geometry = childElements(element).filter(function(child) {
+    return child.tagName === 'geometry';
+  })[0];
+  if (!geometry) {
+    this._report(element, 'error', 'Missing the geometry');
+    return;
+  }
+  var shapes = childElements(geometry);
+  if (shapes.length === 0) {
+    this._report(geometry, 'error', 'The geometry has no shape');
+  } else if (['box', 'cylinder', 'sphere', 'mesh'].indexOf(shapes[0].tagName) === -1) {
+    this._report(shapes[0], 'error', 'Unknown geometry type ' + shapes[0].tagName);
+  }
+};
+
+/**
+ * Check that materials of visuals without a color or texture are defined globally.
+ *
+ * @private
+ */
+UrdfValidator.prototype._checkMaterials = function(links, materials) {
+  var that = this;
+  Object.keys(links).forEach(function(name) {
+    var materialsXml = links[name].getElementsByTagName('material');
+    for (var i = 0; i < materialsXml.length; i++) {
+      var material = materialsXml[i];
+      var defined = material.getElementsByTagName('color').length > 0 ||
+        material.getElementsByTagName('texture').length > 0;
+      if (!defined && !materials[material.getAttribute('name')]) {
+        that._report(material, 'warning', 'The material ' + material.getAttribute('name') + ' is not defined');
+      }
+    }
+  });
+};
+
+/**
+ * Check the joints, and that they connect the links into a single tree.
+ *
+ * @private
+ */
+UrdfValidator.prototype._checkJoints = function(links, joints) {
+  var that = this;
+  // per link, the joints it is the child of
+  var parentJoints = {};
+  Object.keys(joints).forEach(function(name) {
+    var joint = joints[name];
+    var type = joint.getAttribute('type');
+    if (type && JOINT_TYPES.indexOf(type) === -1) {
+      that._report(joint, 'error', 'Unknown joint type ' + type);
+    }
+    var limit = childElements(joint).filter(function(child) {
+      return child.tagName === 'limit';
+    })[0];
+    if ((type === 'revolute' || type === 'prismatic') && !limit) {
+      that._report(joint, 'error', 'A ' + type + ' joint needs a limit');
+    } else if (limit && parseFloat(limit.getAttribute('lower')) > parseFloat(limit.getAttribute('upper'))) {
+      that._report(limit, 'warning', 'The lower limit is above the upper limit');
+    }
+    var mimic = joint.getElementsByTagName('mimic')[0];
+    if (mimic && mimic.getAttribute('joint') && !joints[mimic.getAttribute('joint')]) {
+      that._report(mimic, 'error', 'The mimicked joint ' + mimic.getAttribute('joint') + ' does not exist');
+    }
+
+    var connected = ['parent', 'child'].map(function(role) {
+      var element = childElements(joint).filter(function(child) {
+        return child.tagName === role;
+      })[0];
+      if (!element) {
+        that._report(joint, 'error', 'Missing the ' + role + ' link');
+        return null;
+      }
+      var link = element.getAttribute('link');
+      if (link && !links[link]) {
+        that._report(element, 'error', 'The ' + role + ' link ' + link + ' does not exist');
+        return null;
+      }
+      return link;
+    });
+    var child = connected[1];
+    if (connected[0] && child) {
+      parentJoints[child] = (parentJoints[child] || []).concat([joint]);
+    }
+  });
+
+  var roots = [];
+  Object.keys(links).forEach(function(name) {
+    var parents = parentJoints[name] || [];
+    if (parents.length === 0) {
+      roots.push(name);
+    } else if (parents.length > 1) {
+      that._report(links[name], 'error', 'The link is the child of several joints: ' +
+        parents.map(function(joint) {
+          return joint.getAttribute('name');
+        }).join(', '));
+    }
+  });
+  roots.slice(1).forEach(function(name) {
+    that._report(links[name], 'error', 'The link is another root besides ' + roots[0]);
+  });
+
+  // follow the parents of every link, finding the loops
+  var reported = {};
+  Object.keys(links).forEach(function(start) {
+    var visited = [];
+    var current = start;
+    while (parentJoints[current] && visited.indexOf(current) === -1) {
+      visited.push(current);
+      current = parentJoints[current][0].getElementsByTagName('parent')[0].getAttribute('link');
+    }
+    if (current !== start || !parentJoints[current]) {
+      return;
+    }
+    var cycle = visited.slice().sort();
+    if (reported[cycle.join(' ')]) {
+      return;
+    }
+    reported[cycle.join(' ')] = true;
+    that._report(parentJoints[cycle[0]][0], 'error', 'The joints form a cycle through the links ' +
+      visited.join(', '));
+  });
+  if (roots.length === 0 && Object.keys(links).length > 0) {
+    this._report(this.xml.documentElement, 'error', 'There is no root link');
+  }
+};
+
+/**
+ * Get an XPath to an element, identifying it by its name or position.
+ *
+ * @private
+ */
+function pathOf(element) {
+  var parts = [];
+  for (var node = element; node && node.nodeType === 1; node = node.parentNode) {
+    var part = node.tagName;
+    var name = node.getAttribute('name');
+    if (name) {
+      part += '[@name="' + name + '"]';
+    } else if (node.parentNode && node.parentNode.nodeType === 1) {
+      var siblings = childElements(node.parentNode).filter(function(sibling) {
+        return sibling.tagName === node.tagName;
+      });
+      if (siblings.length > 1) {
+        part += '[' + (siblings.indexOf(node) + 1) + ']';
+      }
+    }
+    parts.unshift(part);
+  }
+  return '/' + parts.join('/');
+}
+
+function childElements(xml) {
+  return Array.prototype.filter.call(xml.childNodes, function(node) {
+    return node.nodeType === 1;
+  });
+}
+
+export default UrdfValidator;
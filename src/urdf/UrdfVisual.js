@@ -4,15 +4,11 @@
  * @author Russell Toris - rctoris@wpi.edu
  */
 
-import Pose from '../math/Pose';
-import Quaternion from '../math/Quaternion';
-import Vector3 from '../math/Vector3';
-
-import UrdfCylinder from './UrdfCylinder';
-import UrdfBox from './UrdfBox';
 import UrdfMaterial from './UrdfMaterial';
-import UrdfMesh from './UrdfMesh';
-import UrdfSphere from './UrdfSphere';
+import { parseGeometry, parseOrigin } from './UrdfUtils';
+import { appendOrigin, appendUnknown, createDocument, createElement, serialize, unknownChildren } from './UrdfXml';
+
+var KNOWN_CHILDREN = ['origin', 'geometry', 'material'];
 
 /**
  * A Visual element in a URDF.
@@ -20,6 +16,7 @@ import UrdfSphere from './UrdfSphere';
  * @constructor
  * @param options - object with following keys:
  *  * xml - the XML element to parse
+ *  * warn (optional) - function called with the warnings while parsing, default: console.warn
  */
 function UrdfVisual(options) {
   var xml = options.xml;
@@ -30,93 +27,10 @@ function UrdfVisual(options) {
   this.name = options.xml.getAttribute('name');
 
   // Origin
-  var origins = xml.getElementsByTagName('origin');
-  if (origins.length === 0) {
-    // use the identity as the default
-    this.origin = new Pose();
-  } else {
-    // Check the XYZ
-    var xyz = origins[0].getAttribute('xyz');
-    var position = new Vector3();
-    if (xyz) {
-      xyz = xyz.split(' ');
-      position = new Vector3({
-        x : parseFloat(xyz[0]),
-        y : parseFloat(xyz[1]),
-        z : parseFloat(xyz[2])
-      });
-    }
-
-    // Check the RPY
-    var rpy = origins[0].getAttribute('rpy');
-    var orientation = new Quaternion();
-    if (rpy) {
-      rpy = rpy.split(' ');
-      // Convert from RPY
-      var roll = parseFloat(rpy[0]);
-      var pitch = parseFloat(rpy[1]);
-      var yaw = parseFloat(rpy[2]);
-      var phi = roll / 2.0;
-      var the = pitch / 2.0;
-      var psi = yaw / 2.0;
-      var x = Math.sin(phi) * Math.cos(the) * Math.cos(psi) - Math.cos(phi) * Math.sin(the)
-          * Math.sin(psi);
-      var y = Math.cos(phi) * Math.sin(the) * Math.cos(psi) + Math.sin(phi) * Math.cos(the)
-          * Math.sin(psi);
-      var z = Math.cos(phi) * Math.cos(the) * Math.sin(psi) - Math.sin(phi) * Math.sin(the)
-          * Math.cos(psi);
-      var w = Math.cos(phi) * Math.cos(the) * Math.cos(psi) + Math.sin(phi) * Math.sin(the)
-          * Math.sin(psi);
-
-      orientation = new Quaternion({
-        x : x,
-        y : y,
-        z : z,
-        w : w
-      });
-      orientation.normalize();
-    }
-    this.origin = new Pose({
-      position : position,
-      orientation : orientation
-    });
-  }
+  this.origin = parseOrigin(xml);
 
   // Geometry
-  var geoms = xml.getElementsByTagName('geometry');
-  if (geoms.length > 0) {
-    var geom = geoms[0];
-    var shape = null;
-    // Check for the shape
-    for (var i = 0; i < geom.childNodes.length; i++) {
-      var node = geom.childNodes[i];
-      if (node.nodeType === 1) {
-        shape = node;
-        break;
-      }
-    }
-    // Check the type
-    var type = shape.nodeName;
-    if (type === 'sphere') {
-      this.geometry = new UrdfSphere({
-        xml : shape
-      });
-    } else if (type === 'box') {
-      this.geometry = new UrdfBox({
-        xml : shape
-      });
-    } else if (type === 'cylinder') {
-      this.geometry = new UrdfCylinder({
-        xml : shape
-      });
-    } else if (type === 'mesh') {
-      this.geometry = new UrdfMesh({
-        xml : shape
-      });
-    } else {
-      console.warn('Unknown geometry type ' + type);
-    }
-  }
+  this.geometry = parseGeometry(xml, options.warn);
 
   // Material
   var materials = xml.getElementsByTagName('material');
@@ -125,6 +39,48 @@ function UrdfVisual(options) {
       xml : materials[0]
     });
   }
+  // a material referred to by name is written back as the reference
+  this._materialReference = this.material !== null && this.material.isLink();
+
+  // elements the parser does not understand, kept for serialization
+  this.unknownElements = unknownChildren(xml, KNOWN_CHILDREN);
 }
 
+/**
+ * Convert this visual into an XML element.
+ *
+ * @param doc - the XML document to create the element in (optional)
+ * @returns the XML element
+ */
+UrdfVisual.prototype.toXML = function(doc) {
+  doc = doc || createDocument();
+  var element = createElement(doc, 'visual', {
+    name : this.name
+  });
+  appendOrigin(doc, element, this.origin);
+  if (this.geometry) {
+    var geometry = doc.createElement('geometry');
+    geometry.appendChild(this.geometry.toXML(doc));
+    element.appendChild(geometry);
+  }
+  if (this.material && this._materialReference) {
+    element.appendChild(createElement(doc, 'material', {
+      name : this.material.name
+    }));
+  } else if (this.material) {
+    element.appendChild(this.material.toXML(doc));
+  }
+  appendUnknown(doc, element, this.unknownElements, KNOWN_CHILDREN);
+  return element;
+};
+
+/**
+ * Serialize this visual to URDF.
+ *
+ * @returns the XML string
+ */
+UrdfVisual.prototype.toString = function() {
+  return serialize(this);
+};
+
 export default UrdfVisual;
@@ -0,0 +1,128 @@
+/**
+ * @fileOverview
+ * Serialization helpers shared by the URDF elements.
+ */
+
+import xmldom from 'xmldom';
+const { DOMImplementation, XMLSerializer } = xmldom;
+
+/**
+ * Create an empty XML document to build URDF elements in.
+ *
+ * @private
+ */
+export function createDocument() {
+  return new DOMImplementation().createDocument(null, null, null);
+}
+
+/**
+ * Serialize a URDF element to a string through its toXML method.
+ *
+ * @private
+ * @param element - the URDF element, like a UrdfLink
+ * @returns the XML string
+ */
+export function serialize(element) {
+  return new XMLSerializer().serializeToString(element.toXML(createDocument()));
+}
+
+/**
+ * Format a vector as the space separated value of a URDF attribute.
+ *
+ * @private
+ */
+export function formatVector(v) {
+  return v.x + ' ' + v.y + ' ' + v.z;
+}
+
+/**
+ * Append an origin element for a pose, unless it is the identity, which is
+ * the default when the origin is missing.
+ *
+ * @private
+ * @param doc - the XML document
+ * @param parent - the element to append the origin to
+ * @param pose - the Pose of the origin
+ */
+export function appendOrigin(doc, parent, pose) {
+  if (!pose) {
+    return;
+  }
+  var p = pose.position;
+  var q = pose.orientation;
+  var isIdentity = p.x === 0 && p.y === 0 && p.z === 0 && q.x === 0 && q.y === 0 && q.z === 0;
+  if (isIdentity) {
+    return;
+  }
+  var origin = doc.createElement('origin');
+  origin.setAttribute('xyz', formatVector(p));
+  var rpy = q.toEuler();
+  origin.setAttribute('rpy', rpy.roll + ' ' + rpy.pitch + ' ' + rpy.yaw);
+  parent.appendChild(origin);
+}
+
+/**
+ * Create an element with the given attributes, skipping empty, null and undefined values.
+ *
+ * @private
+ * @param doc - the XML document
+ * @param name - the tag name
+ * @param attributes - object of attribute names to values
+ * @returns the element
+ */
+export function createElement(doc, name, attributes) {
+  var element = doc.createElement(name);
+  for (var key in attributes) {
+    if (attributes[key] !== null && attributes[key] !== undefined && attributes[key] !== '') {
+      element.setAttribute(key, String(attributes[key]));
+    }
+  }
+  return element;
+}
+
+/**
+ * Get the child elements the parser does not understand, to keep them for serialization.
+ *
+ * @private
+ * @param xml - the XML element
+ * @param known - the tag names of the understood children
+ * @returns the array of unknown child elements
+ */
+export function unknownChildren(xml, known) {
+  return Array.prototype.filter.call(xml.childNodes, function(node) {
+    return node.nodeType === 1 && known.indexOf(node.tagName) === -1;
+  });
+}
+
+/**
+ * Insert copies of elements kept by unknownChildren into the serialized
+ * element, after as many understood children as preceded them in their
+ * document, so they keep their place among them.
+ *
+ * @private
+ * @param doc - the XML document
+ * @param parent - the element with the understood children, to insert the copies into
+ * @param elements - the elements to copy, if any
+ * @param known - the tag names of the understood children
+ */
+export function appendUnknown(doc, parent, elements, known) {
+  var children = Array.prototype.filter.call(parent.childNodes, function(node) {
+    return node.nodeType === 1;
+  });
+  (elements || []).forEach(function(node) {
+    var preceding = 0;
+    for (var sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+      if (sibling.nodeType === 1 && known.indexOf(sibling.tagName) !== -1) {
+        preceding++;
+      }
+    }
+    // before the understood child that followed it, behind earlier copies
+    var next = node.parentNode ? children[preceding] : undefined;
+    var copy = doc.importNode(node, true);
+    if (next) {
+      parent.insertBefore(copy, next);
+    } else {
+      parent.appendChild(copy);
+    }
+  });
+}
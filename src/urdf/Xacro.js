@@ -0,0 +1,609 @@
+/**
+ * @fileOverview
+ * A xacro processor, expanding robot descriptions written in xacro into URDF.
+ */
+
+import xmldom from 'xmldom';
+const { DOMParser } = xmldom;
+
+var XACRO_PREFIX = 'xacro:';
+
+/**
+ * A xacro processor. It supports properties (including block properties),
+ * math expressions in ${...}, macros with default, inherited (^) and block
+ * (* and **) parameters, xacro:if and xacro:unless, xacro:include and
+ * $(arg ...). $(find pkg) expands to package://pkg, so included files can be
+ * fetched by the resolver.
+ *
+ * Expressions are evaluated by a small parser supporting the python operators,
+ * the functions and constants of the python math module and conditional
+ * expressions (`a if condition else b`). No JavaScript is ever evaluated.
+ *
+ * Example:
+ *
+ *     new ROSLIB.Xacro({ resolver: fetchFile }).process(xacroString).then(function(xml) {
+ *       var model = new ROSLIB.UrdfModel({ xml: xml });
+ *     });
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *  * resolver - function to load included files, with params:
+ *    * filename - the filename of the xacro:include, after substitution
+ *    it should return the content of the file as a string or a Promise of it
+ *  * args - object with the values of the xacro arguments, like on the xacro command line
+ */
+function Xacro(options) {
+  options = options || {};
+  this.resolver = options.resolver;
+  this.args = options.args || {};
+}
+
+/**
+ * Expand a xacro document.
+ *
+ * @param string - the xacro XML as a string
+ * @returns a Promise of the expanded XML document, rejected with an Error if the
+ *   document or an included file is malformed, or can not be expanded
+ */
+Xacro.prototype.process = function(string) {
+  var doc;
+  try {
+    doc = parseXml(string, 'the xacro document');
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  var context = {
+    doc : doc,
+    properties : Object.create(null),
+    macros : Object.create(null),
+    args : Object.assign({}, this.args)
+  };
+  var root = doc.documentElement;
+  var that = this;
+  return this._processChildren(root, context).then(function() {
+    root.removeAttribute('xmlns:xacro');
+    that._substituteAttributes(root, context);
+    return doc;
+  });
+};
+
+/**
+ * Expand all children of an element in place, one after the other, since
+ * definitions of earlier children are visible to later ones.
+ *
+ * @private
+ */
+Xacro.prototype._processChildren = function(parent, context) {
+  var that = this;
+  var children = Array.prototype.slice.call(parent.childNodes);
+  return children.reduce(function(promise, node) {
+    return promise.then(function() {
+      return that._processNode(node, context);
+    }).then(function(replacement) {
+      if (replacement) {
+        replacement.forEach(function(newNode) {
+          parent.insertBefore(newNode, node);
+        });
+        parent.removeChild(node);
+      }
+    });
+  }, Promise.resolve());
+};
+
+/**
+ * Expand a single node.
+ *
+ * @private
+ * @returns a Promise of the nodes replacing it, or of nothing if it is kept
+ */
+Xacro.prototype._processNode = function(node, context) {
+  if (node.nodeType === 3) {
+    node.data = String(this._substitute(node.data, context));
+    return Promise.resolve();
+  }
+  if (node.nodeType !== 1) {
+    return Promise.resolve();
+  }
+  if (node.nodeName.indexOf(XACRO_PREFIX) !== 0) {
+    this._substituteAttributes(node, context);
+    return this._processChildren(node, context);
+  }
+
+  var tag = node.nodeName.substring(XACRO_PREFIX.length);
+  try {
+    switch (tag) {
+      case 'property':
+        this._defineProperty(node, context);
+        return Promise.resolve([]);
+      case 'arg':
+        var argName = node.getAttribute('name');
+        if (!(argName in context.args)) {
+          context.args[argName] = this._substitute(node.getAttribute('default'), context);
+        }
+        return Promise.resolve([]);
+      case 'macro':
+        context.macros[node.getAttribute('name')] = {
+          params : parseParams(node.getAttribute('params')),
+          body : node
+        };
+        return Promise.resolve([]);
+      case 'include':
+        return this._include(node, context);
+      case 'if':
+      case 'unless':
+        var value = isTrue(this._substitute(node.getAttribute('value'), context));
+        if (value === (tag === 'unless')) {
+          return Promise.resolve([]);
+        }
+        return this._expandContent(node.childNodes, context);
+      case 'insert_block':
+        var block = lookup(context.properties, node.getAttribute('name'));
+        if (!block) {
+          throw new Error('Unknown block ' + node.getAttribute('name'));
+        }
+        var nodes = block.xacroBlock ? block.xacroBlock : [block];
+        return this._expandContent(nodes, context);
+      case 'call':
+        return this._callMacro(this._substitute(node.getAttribute('macro'), context), node, context);
+      default:
+        return this._callMacro(tag, node, context);
+    }
+  } catch (error) {
+    return Promise.reject(error);
+  }
+};
+
+/**
+ * Clone nodes and expand them in the given context.
+ *
+ * @private
+ * @returns a Promise of the expanded nodes
+ */
+Xacro.prototype._expandContent = function(nodes, context) {
+  var doc = context.doc;
+  var container = doc.createElement('xacro_container');
+  Array.prototype.forEach.call(nodes, function(node) {
+    container.appendChild(node.ownerDocument === doc ? node.cloneNode(true) : doc.importNode(node, true));
+  });
+  return this._processChildren(container, context).then(function() {
+    return Array.prototype.slice.call(container.childNodes);
+  });
+};
+
+/**
+ * Handle a xacro:property.
+ *
+ * @private
+ */
+Xacro.prototype._defineProperty = function(node, context) {
+  var name = node.getAttribute('name');
+  var properties = context.properties;
+  var scope = node.getAttribute('scope');
+  if (scope === 'parent') {
+    properties = Object.getPrototypeOf(properties);
+  } else if (scope === 'global') {
+    while (Object.getPrototypeOf(properties) !== null) {
+      properties = Object.getPrototypeOf(properties);
+    }
+  }
+
+  var value;
+  if (node.hasAttribute('value')) {
+    value = this._substitute(node.getAttribute('value'), context);
+  } else if (node.hasAttribute('default')) {
+    if (name in properties) {
+      return;
+    }
+    value = this._substitute(node.getAttribute('default'), context);
+  } else {
+    // a block property, its content is inserted with xacro:insert_block
+    value = { xacroBlock : node.childNodes };
+  }
+  properties[name] = value;
+};
+
+/**
+ * Handle a xacro:include, expanding the included file in the current context.
+ *
+ * @private
+ */
+Xacro.prototype._include = function(node, context) {
+  var filename = this._substitute(node.getAttribute('filename'), context);
+  if (typeof this.resolver !== 'function') {
+    return Promise.reject(new Error('Cannot include ' + filename + ' without a resolver'));
+  }
+  var that = this;
+  return Promise.resolve(this.resolver(filename)).then(function(string) {
+    var included = parseXml(string, filename);
+    return that._expandContent(included.documentElement.childNodes, context);
+  });
+};
+
+/**
+ * Expand a macro call.
+ *
+ * @private
+ */
+Xacro.prototype._callMacro = function(name, node, context) {
+  var macro = lookup(context.macros, name);
+  if (!macro) {
+    return Promise.reject(new Error('Unknown macro xacro:' + name));
+  }
+
+  var scope = {
+    doc : context.doc,
+    properties : Object.create(context.properties),
+    macros : Object.create(context.macros),
+    args : context.args
+  };
+  var blocks = Array.prototype.filter.call(node.childNodes, function(child) {
+    return child.nodeType === 1;
+  });
+  for (var i = 0; i < macro.params.length; i++) {
+    var param = macro.params[i];
+    if (param.block) {
+      var block = blocks.shift();
+      if (!block) {
+        return Promise.reject(new Error('Missing block parameter ' + param.name + ' of xacro:' + name));
+      }
+      scope.properties[param.name] = param.block === '**' ? { xacroBlock : block.childNodes } : block;
+    } else if (node.hasAttribute(param.name)) {
+      scope.properties[param.name] = this._substitute(node.getAttribute(param.name), context);
+    } else if (param.inherit && param.name in context.properties) {
+      scope.properties[param.name] = context.properties[param.name];
+    } else if (param.defaultValue !== undefined) {
+      scope.properties[param.name] = this._substitute(param.defaultValue, context);
+    } else {
+      return Promise.reject(new Error('Missing parameter ' + param.name + ' of xacro:' + name));
+    }
+  }
+  return this._expandContent(macro.body.childNodes, scope);
+};
+
+Xacro.prototype._substituteAttributes = function(node, context) {
+  for (var i = 0; i < node.attributes.length; i++) {
+    var attribute = node.attributes[i];
+    node.setAttribute(attribute.name, String(this._substitute(attribute.value, context)));
+  }
+};
+
+/**
+ * Substitute the $(...) and ${...} expressions of a string.
+ *
+ * @private
+ * @returns the substituted string, or the value of the expression if the
+ *   string is a single ${...} expression
+ */
+Xacro.prototype._substitute = function(text, context) {
+  if (text === null || text.indexOf('$') === -1) {
+    return text;
+  }
+  text = text.replace(/\$\((\w+)\s+([^)]*)\)/g, function(match, command, arg) {
+    arg = arg.trim();
+    if (command === 'arg') {
+      if (!(arg in context.args)) {
+        throw new Error('Undefined substitution argument ' + arg);
+      }
+      return context.args[arg];
+    } else if (command === 'find') {
+      return 'package://' + arg;
+    }
+    throw new Error('Unsupported substitution $(' + command + ')');
+  });
+
+  var whole = /^\$\{([^}]*)\}$/.exec(text);
+  if (whole) {
+    return evaluate(whole[1], context.properties);
+  }
+  return text.replace(/\$(\$?)\{([^}]*)\}/g, function(match, escaped, expression) {
+    if (escaped) {
+      return '${' + expression + '}';
+    }
+    return formatValue(evaluate(expression, context.properties));
+  });
+};
+
+/**
+ * Parse the params attribute of a macro, like "name prefix:=left *origin".
+ *
+ * @private
+ */
+function parseParams(params) {
+  return (params || '').split(/\s+/).filter(Boolean).map(function(param) {
+    var block = /^\*{1,2}/.exec(param);
+    if (block) {
+      return { name : param.substring(block[0].length), block : block[0] };
+    }
+    var parts = param.split(':=');
+    var result = { name : parts[0] };
+    if (parts.length > 1) {
+      var defaultValue = parts.slice(1).join(':=');
+      if (defaultValue[0] === '^') {
+        result.inherit = true;
+        defaultValue = defaultValue[1] === '|' ? defaultValue.substring(2) : undefined;
+      }
+      result.defaultValue = defaultValue;
+    }
+    return result;
+  });
+}
+
+function lookup(table, name) {
+  return name in table ? table[name] : undefined;
+}
+
+function isTrue(value) {
+  if (typeof value === 'string') {
+    var lower = value.trim().toLowerCase();
+    if (lower === 'true' || lower === '1') {
+      return true;
+    }
+    if (lower === 'false' || lower === '0' || lower === '') {
+      return false;
+    }
+    throw new Error('Invalid condition value ' + value);
+  }
+  return !!value;
+}
+
+function formatValue(value) {
+  return typeof value === 'boolean' ? (value ? 'true' : 'false') : String(value);
+}
+
+var CONSTANTS = {
+  pi : Math.PI,
+  e : Math.E,
+  inf : Infinity,
+  True : true,
+  False : false,
+  true : true,
+  false : false
+};
+
+var FUNCTIONS = {
+  sin : Math.sin,
+  cos : Math.cos,
+  tan : Math.tan,
+  asin : Math.asin,
+  acos : Math.acos,
+  atan : Math.atan,
+  atan2 : Math.atan2,
+  sqrt : Math.sqrt,
+  exp : Math.exp,
+  log : Math.log,
+  pow : Math.pow,
+  abs : Math.abs,
+  fabs : Math.abs,
+  floor : Math.floor,
+  ceil : Math.ceil,
+  round : Math.round,
+  min : Math.min,
+  max : Math.max,
+  radians : function(x) { return x * Math.PI / 180; },
+  degrees : function(x) { return x * 180 / Math.PI; },
+  int : function(x) { return Math.trunc(Number(x)); },
+  float : function(x) { return Number(x); },
+  str : function(x) { return formatValue(x); },
+  bool : function(x) { return isTrue(typeof x === 'number' ? String(x) : x); }
+};
+
+var TOKEN = /^\s*(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_][\w.]*|'[^']*'|"[^"]*"|\*\*|\/\/|==|!=|<=|>=|[-+*/%<>(),])/;
+
+function tokenize(expression) {
+  var tokens = [];
+  var rest = expression;
+  while (rest.trim().length) {
+    var match = TOKEN.exec(rest);
+    if (!match) {
+      throw new Error('Invalid expression ' + expression);
+    }
+    tokens.push(match[1]);
+    rest = rest.substring(match[0].length);
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a xacro expression with a recursive descent parser, following the
+ * precedence of python.
+ *
+ * @private
+ * @param expression - the expression, without ${}
+ * @param properties - the properties visible to the expression
+ * @returns the value
+ */
+function evaluate(expression, properties) {
+  var tokens = tokenize(expression);
+  var pos = 0;
+
+  var peek = function() {
+    return tokens[pos];
+  };
+  var next = function() {
+    return tokens[pos++];
+  };
+  var expect = function(token) {
+    if (next() !== token) {
+      throw new Error('Expected ' + token + ' in expression ' + expression);
+    }
+  };
+
+  var conditional = function() {
+    var value = or();
+    if (peek() === 'if') {
+      next();
+      var condition = or();
+      expect('else');
+      var otherwise = conditional();
+      return isTrue(condition) ? value : otherwise;
+    }
+    return value;
+  };
+  var or = function() {
+    var value = and();
+    while (peek() === 'or') {
+      next();
+      var right = and();
+      value = value || right;
+    }
+    return value;
+  };
+  var and = function() {
+    var value = not();
+    while (peek() === 'and') {
+      next();
+      var right = not();
+      value = value && right;
+    }
+    return value;
+  };
+  var not = function() {
+    if (peek() === 'not') {
+      next();
+      return !not();
+    }
+    return comparison();
+  };
+  var comparison = function() {
+    var value = additive();
+    while (['==', '!=', '<', '<=', '>', '>='].indexOf(peek()) !== -1) {
+      var op = next();
+      var right = additive();
+      value = op === '==' ? value === right :
+        op === '!=' ? value !== right :
+        op === '<' ? value < right :
+        op === '<=' ? value <= right :
+        op === '>' ? value > right : value >= right;
+    }
+    return value;
+  };
+  var additive = function() {
+    var value = term();
+    while (peek() === '+' || peek() === '-') {
+      var op = next();
+      var right = term();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+  var term = function() {
+    var value = unary();
+    while (['*', '/', '//', '%'].indexOf(peek()) !== -1) {
+      var op = next();
+      var right = unary();
+      value = op === '*' ? value * right :
+        op === '/' ? value / right :
+        op === '//' ? Math.floor(value / right) : value % right;
+    }
+    return value;
+  };
+  var unary = function() {
+    if (peek() === '-') {
+      next();
+      return -unary();
+    }
+    if (peek() === '+') {
+      next();
+      return +unary();
+    }
+    return power();
+  };
+  var power = function() {
+    var value = primary();
+    if (peek() === '**') {
+      next();
+      value = Math.pow(value, unary());
+    }
+    return value;
+  };
+  var primary = function() {
+    var token = next();
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression ' + expression);
+    }
+    if (token === '(') {
+      var value = conditional();
+      expect(')');
+      return value;
+    }
+    if (token[0] === '\'' || token[0] === '"') {
+      return token.substring(1, token.length - 1);
+    }
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+    var name = token.indexOf('math.') === 0 ? token.substring(5) : token;
+    if (peek() === '(') {
+      next();
+      var args = [];
+      while (peek() !== ')') {
+        args.push(conditional());
+        if (peek() === ',') {
+          next();
+        }
+      }
+      expect(')');
+      if (!FUNCTIONS.hasOwnProperty(name)) {
+        throw new Error('Unknown function ' + name + ' in expression ' + expression);
+      }
+      return FUNCTIONS[name].apply(null, args);
+    }
+    if (name in properties) {
+      return toValue(properties[name]);
+    }
+    if (CONSTANTS.hasOwnProperty(name)) {
+      return CONSTANTS[name];
+    }
+    throw new Error('Undefined property ' + name + ' in expression ' + expression);
+  };
+
+  var result = conditional();
+  if (pos < tokens.length) {
+    throw new Error('Unexpected ' + tokens[pos] + ' in expression ' + expression);
+  }
+  return result;
+}
+
+/**
+ * Convert a property value to the number it represents, if it does.
+ *
+ * @private
+ */
+function toValue(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Parse an XML document, throwing an Error if it is malformed or empty.
+ *
+ * @private
+ * @param string - the XML as a string
+ * @param source - the name of the document for the error message
+ * @returns the XML document
+ */
+function parseXml(string, source) {
+  var errors = [];
+  var report = function(message) {
+    // like '[xmldom error]\tunexpected end of input\n@#[line:1,col:1]'
+    errors.push(message.replace(/^\[xmldom \w+\]\s*/, '').split('\n')[0]);
+  };
+  var doc = typeof string === 'string' && string ? new DOMParser({
+    errorHandler : {
+      warning : report,
+      error : report,
+      fatalError : report
+    }
+  }).parseFromString(string, 'text/xml') : null;
+  if (errors.length > 0) {
+    throw new Error('Malformed XML in ' + source + ': ' + errors[0]);
+  }
+  if (!doc || !doc.documentElement) {
+    throw new Error('No XML element in ' + source);
+  }
+  return doc;
+}
+
+export default Xacro;
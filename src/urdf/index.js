@@ -1,23 +1,60 @@
+import Ros from '../core/Ros';
+import mixin from '../mixin';
 import UrdfTypes from './UrdfTypes';
+import MeshLoader from './MeshLoader';
+import ResourceResolver from './ResourceResolver';
+import SdfModel from './SdfModel';
 import UrdfBox from './UrdfBox';
 import UrdfColor from './UrdfColor';
+import UrdfCollision from './UrdfCollision';
 import UrdfCylinder from './UrdfCylinder';
+import UrdfInertial from './UrdfInertial';
 import UrdfLink from './UrdfLink';
+import UrdfLoader from './UrdfLoader';
 import UrdfMaterial from './UrdfMaterial';
 import UrdfMesh from './UrdfMesh';
 import UrdfModel from './UrdfModel';
 import UrdfSphere from './UrdfSphere';
+import UrdfValidator from './UrdfValidator';
 import UrdfVisual from './UrdfVisual';
+import Xacro from './Xacro';
 
-export default {
+const urdf = {
+    MeshLoader,
+    ResourceResolver,
+    SdfModel,
     UrdfBox,
     UrdfColor,
+    UrdfCollision,
     UrdfCylinder,
+    UrdfInertial,
     UrdfLink,
+    UrdfLoader,
     UrdfMaterial,
     UrdfMesh,
     UrdfModel,
     UrdfSphere,
+    UrdfValidator,
     UrdfVisual,
+    Xacro,
     ...UrdfTypes,
-}
+};
+
+/**
+ * Load the robot description of a running robot, see UrdfLoader.
+ *
+ * @param ros - the ROSLIB.Ros connection handle
+ * @param name (optional) - the name of the parameter, default: 'robot_description'
+ * @returns the UrdfLoader, emitting 'model' with every new description. Its `load()`
+ *   returns a Promise of the first model.
+ */
+UrdfModel.fromParam = function(ros, name) {
+    return new UrdfLoader({
+        ros : ros,
+        param : name
+    });
+};
+
+mixin(Ros, ['UrdfLoader'], urdf);
+
+export default urdf;
@@ -0,0 +1,50 @@
+/**
+ * @fileOverview
+ * Reading of local files, only available under Node.js.
+ */
+
+/**
+ * Get the fs module of Node.js, without a static import as the bundles are
+ * built for the browser.
+ *
+ * @private
+ * @returns the fs module, or null if not running under Node.js
+ */
+function nodeFs() {
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    return null;
+  }
+  if (typeof process.getBuiltinModule === 'function') {
+    return process.getBuiltinModule('fs');
+  }
+  // older Node.js versions, with the UMD bundle loaded by require
+  if (typeof module !== 'undefined' && typeof module.require === 'function') {
+    return module.require('fs');
+  }
+  return null;
+}
+
+/**
+ * Read a local file.
+ *
+ * @private
+ * @param path - the path of the file
+ * @returns a Promise of the contents as an ArrayBuffer
+ */
+function readFile(path) {
+  const fs = nodeFs();
+  if (!fs) {
+    return Promise.reject(new Error('Cannot read ' + path + ', local files are only available under Node.js'));
+  }
+  return new Promise(function(resolve, reject) {
+    fs.readFile(path, function(error, data) {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+      }
+    });
+  });
+}
+
+export default readFile;
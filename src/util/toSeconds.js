@@ -0,0 +1,38 @@
+/**
+ * @fileOverview
+ * Conversion of ROS times.
+ */
+
+/**
+ * Get the seconds and nanoseconds of a ROS 1 {secs, nsecs} or ROS 2 {sec, nanosec} time.
+ *
+ * @private
+ * @param time - the ROS time
+ * @returns the time as {secs, nsecs}
+ */
+export function secsAndNsecs(time) {
+  return {
+    secs: (time.secs !== undefined ? time.secs : time.sec) || 0,
+    nsecs: (time.nsecs !== undefined ? time.nsecs : time.nanosec) || 0
+  };
+}
+
+/**
+ * Convert a ROS 1 {secs, nsecs} or ROS 2 {sec, nanosec} time to seconds.
+ *
+ * @private
+ * @param time - the ROS time, or a time in seconds
+ * @returns the time in seconds, 0 if there is none
+ */
+function toSeconds(time) {
+  if (!time) {
+    return 0;
+  }
+  if (typeof time === 'number') {
+    return time;
+  }
+  const stamp = secsAndNsecs(time);
+  return stamp.secs + stamp.nsecs / 1e9;
+}
+
+export default toSeconds;
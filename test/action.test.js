@@ -0,0 +1,116 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+describe('Action', function() {
+
+  describe('client', function() {
+    var ros, sent, action;
+    beforeEach(function() {
+      ros = new ROSLIB.Ros();
+      sent = [];
+      ros.callOnConnection = function(message) {
+        sent.push(message);
+      };
+      action = new ROSLIB.Action({
+        ros: ros,
+        name: '/fibonacci',
+        actionType: 'action_tutorials_interfaces/action/Fibonacci'
+      });
+    });
+
+    it('should send the goal and resolve with the result', function() {
+      var goal = action.createGoal({ order: 3 });
+      var feedback = [];
+      goal.on('feedback', function(message) {
+        feedback.push(message.partial_sequence);
+      });
+      var promise = goal.send();
+
+      var call = sent[sent.length - 1];
+      expect(call.op).to.equal('send_action_goal');
+      expect(call.id).to.equal(goal.goalID);
+      expect(call.action_type).to.equal('action_tutorials_interfaces/action/Fibonacci');
+      expect(call.args).to.eql({ order: 3 });
+
+      ros.emit(goal.goalID, { op: 'action_feedback', id: goal.goalID, values: { partial_sequence: [0, 1] } });
+      ros.emit(goal.goalID, {
+        op: 'action_result',
+        id: goal.goalID,
+        values: { sequence: [0, 1, 1] },
+        status: ROSLIB.Action.GoalStatus.SUCCEEDED,
+        result: true
+      });
+      return promise.then(function(result) {
+        expect(result.sequence).to.eql([0, 1, 1]);
+        expect(feedback).to.eql([[0, 1]]);
+        expect(goal.status).to.equal(ROSLIB.Action.GoalStatus.SUCCEEDED);
+        expect(ros.listeners(goal.goalID)).to.have.length(0);
+      });
+    });
+
+    it('should send a goal only once', function() {
+      var goal = action.createGoal({ order: 3 });
+      var promise = goal.send();
+      expect(goal.send()).to.equal(promise);
+      expect(sent.filter(function(message) {
+        return message.op === 'send_action_goal';
+      })).to.have.length(1);
+      expect(ros.listeners(goal.goalID)).to.have.length(1);
+    });
+
+    it('should reject when the goal was canceled', function() {
+      var goal = action.createGoal({ order: 3 });
+      var promise = goal.send();
+      goal.cancel();
+      expect(sent[sent.length - 1]).to.eql({ op: 'cancel_action_goal', id: goal.goalID, action: '/fibonacci' });
+
+      ros.emit(goal.goalID, {
+        op: 'action_result',
+        id: goal.goalID,
+        values: {},
+        status: ROSLIB.Action.GoalStatus.CANCELED,
+        result: false
+      });
+      return promise.then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        expect(error.code).to.equal('ACTION_FAILED');
+        expect(error.details.status).to.equal(ROSLIB.Action.GoalStatus.CANCELED);
+      });
+    });
+
+    it('should reject with a TIMEOUT error', function() {
+      return action.createGoal({ order: 3 }).send(10).then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        expect(error.code).to.equal('TIMEOUT');
+      });
+    });
+  });
+
+  describe('server', function() {
+    it('should answer goals sent by clients', function(done) {
+      var ros = new ROSLIB.Ros();
+      var sent = [];
+      ros.callOnConnection = function(message) {
+        sent.push(message);
+      };
+      var server = ros.Action({ name: '/fibonacci', actionType: 'action_tutorials_interfaces/action/Fibonacci' });
+      server.on('goal', function(goal, goalID) {
+        expect(goal.order).to.equal(2);
+        server.sendFeedback(goalID, { partial_sequence: [0] });
+        server.setSucceeded(goalID, { sequence: [0, 1] });
+
+        expect(sent[1]).to.eql({ op: 'action_feedback', id: 'goal1', action: '/fibonacci', values: { partial_sequence: [0] } });
+        expect(sent[2].op).to.equal('action_result');
+        expect(sent[2].status).to.equal(ROSLIB.Action.GoalStatus.SUCCEEDED);
+        expect(sent[2].result).to.equal(true);
+        done();
+      });
+      server.advertise();
+      expect(sent[0]).to.eql({ op: 'advertise_action', type: 'action_tutorials_interfaces/action/Fibonacci', action: '/fibonacci' });
+      ros.emit('/fibonacci', { op: 'send_action_goal', id: 'goal1', action: '/fibonacci', args: { order: 2 } });
+    });
+  });
+
+});
@@ -0,0 +1,100 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+// A data channel stand-in, so a Ros can be connected without a rosbridge.
+function RTCPeerConnection() {
+  this.sent = [];
+}
+RTCPeerConnection.prototype.createDataChannel = function() {
+  var sent = this.sent;
+  return {
+    send: function(data) {
+      sent.push(JSON.parse(data));
+    },
+    close: function() {}
+  };
+};
+
+function connect(options) {
+  var ros = new ROSLIB.Ros(options);
+  ros.connect('rosbridge');
+  ros.socket.onopen();
+  return ros;
+}
+
+describe('Fragments', function() {
+
+  describe('incoming', function() {
+    it('should reassemble fragments received out of order', function(done) {
+      var ros = connect({ transportLibrary: new RTCPeerConnection() });
+      var json = JSON.stringify({ op: 'publish', topic: '/map', msg: { data: [1, 2, 3] } });
+      ros.on('/map', function(msg) {
+        expect(msg.data).to.eql([1, 2, 3]);
+        done();
+      });
+      [1, 0, 2].forEach(function(num) {
+        ros.socket.onmessage(JSON.stringify({
+          op: 'fragment',
+          id: 'publish:/map:1',
+          data: json.substr(num * 20, 20),
+          num: num,
+          total: Math.ceil(json.length / 20)
+        }));
+      });
+    });
+
+    it('should drop incomplete sets after the timeout', function(done) {
+      var ros = connect({ transportLibrary: new RTCPeerConnection(), fragmentTimeout: 5 });
+      var received = false;
+      ros.on('/map', function() {
+        received = true;
+      });
+      var json = JSON.stringify({ op: 'publish', topic: '/map', msg: {} });
+      ros.socket.onmessage(JSON.stringify({ op: 'fragment', id: 'a', data: json.substr(0, 10), num: 0, total: 2 }));
+      setTimeout(function() {
+        ros.socket.onmessage(JSON.stringify({ op: 'fragment', id: 'a', data: json.substr(10), num: 1, total: 2 }));
+        expect(received).to.equal(false);
+        done();
+      }, 20);
+    });
+
+    it('should drop sets that do not reassemble into JSON', function() {
+      var ros = connect({ transportLibrary: new RTCPeerConnection() });
+      var errors = [];
+      ros.on('error', function(error) {
+        errors.push(error);
+      });
+      ros.socket.onmessage(JSON.stringify({ op: 'fragment', id: 'b', data: '{"op": "pub', num: 0, total: 2 }));
+      ros.socket.onmessage(JSON.stringify({ op: 'fragment', id: 'b', data: 'lish", ', num: 1, total: 2 }));
+      expect(errors.length).to.equal(1);
+      expect(errors[0]).to.be.an.instanceof(SyntaxError);
+    });
+  });
+
+  describe('outgoing', function() {
+    it('should split publishes larger than the topic fragment_size', function() {
+      var transport = new RTCPeerConnection();
+      var ros = connect({ transportLibrary: transport });
+      var topic = new ROSLIB.Topic({
+        ros: ros,
+        name: '/chatter',
+        messageType: 'std_msgs/String',
+        fragment_size: 16
+      });
+      topic.publish(new ROSLIB.Message({ data: 'a message too long for one fragment' }));
+
+      var fragments = transport.sent.filter(function(op) {
+        return op.op === 'fragment';
+      });
+      expect(fragments.length).to.be.above(1);
+      expect(fragments[0].total).to.equal(fragments.length);
+      var call = JSON.parse(fragments.map(function(fragment) {
+        return fragment.data;
+      }).join(''));
+      expect(call.op).to.equal('publish');
+      expect(call.msg.data).to.equal('a message too long for one fragment');
+      expect(fragments[0].id).to.equal(call.id);
+    });
+  });
+
+});
@@ -0,0 +1,49 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+function expectElements(actual, expected) {
+  expect(actual).to.have.length(expected.length);
+  actual.forEach(function(value, i) {
+    expect(value).to.be.closeTo(expected[i], 1e-9);
+  });
+}
+
+describe('Matrix3', function() {
+  it('should default to the identity', function() {
+    expect(new ROSLIB.Matrix3().elements).to.eql([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  });
+
+  it('should multiply, invert and transpose', function() {
+    var m = new ROSLIB.Matrix3({ elements: [2, 0, 1, 0, 1, 0, 1, 0, 1] });
+    expect(m.determinant()).to.equal(1);
+    var inverse = m.clone();
+    inverse.invert();
+    m.multiply(inverse);
+    expectElements(m.elements, [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+
+    var t = new ROSLIB.Matrix3({ elements: [1, 2, 3, 4, 5, 6, 7, 8, 9] });
+    t.transpose();
+    expect(t.elements).to.eql([1, 4, 7, 2, 5, 8, 3, 6, 9]);
+    expect(t.multiplyVector3({ x: 1, y: 0, z: 0 })).to.include({ x: 1, y: 2, z: 3 });
+  });
+});
+
+describe('Matrix4', function() {
+  it('should invert by elimination', function() {
+    var m = new ROSLIB.Matrix4({ elements: [0, 1, 0, 3, 2, 0, 0, 0, 0, 0, 4, 1, 0, 0, 0, 1] });
+    var inverse = m.clone();
+    inverse.invert();
+    inverse.multiply(m);
+    expectElements(inverse.elements, new ROSLIB.Matrix4().elements);
+  });
+
+  it('should throw for singular matrices', function() {
+    var m = new ROSLIB.Matrix4({ elements: [1, 2, 0, 0, 2, 4, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1] });
+    expect(m.invert).to.throw(/singular/);
+  });
+
+  it('should transform points', function() {
+    var m = new ROSLIB.Matrix4({ elements: [1, 0, 0, 1, 0, 1, 0, 2, 0, 0, 1, 3, 0, 0, 0, 1] });
+    expect(m.applyToPoint({ x: 1, y: 1, z: 1 })).to.include({ x: 2, y: 3, z: 4 });
+  });
+});
@@ -0,0 +1,148 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var ROSLIB = require('..');
+
+function toArrayBuffer(text) {
+  return new TextEncoder().encode(text).buffer;
+}
+
+var ascii_stl = 'solid square\n' +
+  'facet normal 0 0 1\n outer loop\n  vertex 0 0 0\n  vertex 1 0 0\n  vertex 1 1 0\n endloop\nendfacet\n' +
+  'facet normal 0 0 1\n outer loop\n  vertex 0 0 0\n  vertex 1 1 0\n  vertex 0 1 0\n endloop\nendfacet\n' +
+  'endsolid square\n';
+
+var obj = '# square\n' +
+  'v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\n' +
+  'vn 0 0 1\n' +
+  'f 1//1 2//1 3//1 4//1\n';
+
+var collada = '<?xml version="1.0"?>' +
+  '<COLLADA xmlns="http://www.collada.org/2005/11/COLLADASchema" version="1.4.1">' +
+  '  <asset><unit meter="0.01" name="centimeter"/></asset>' +
+  '  <library_geometries>' +
+  '    <geometry id="tri-mesh"><mesh>' +
+  '      <source id="tri-positions"><float_array id="tri-positions-array" count="9">0 0 0 100 0 0 0 100 0</float_array>' +
+  '        <technique_common><accessor source="#tri-positions-array" count="3" stride="3"/></technique_common></source>' +
+  '      <vertices id="tri-vertices"><input semantic="POSITION" source="#tri-positions"/></vertices>' +
+  '      <triangles count="1"><input semantic="VERTEX" source="#tri-vertices" offset="0"/><p>0 1 2</p></triangles>' +
+  '    </mesh></geometry>' +
+  '  </library_geometries>' +
+  '  <library_visual_scenes>' +
+  '    <visual_scene id="scene">' +
+  '      <node id="tri"><translate>0 0 100</translate><instance_geometry url="#tri-mesh"/></node>' +
+  '    </visual_scene>' +
+  '  </library_visual_scenes>' +
+  '  <scene><instance_visual_scene url="#scene"/></scene>' +
+  '</COLLADA>';
+
+describe('Meshes', function() {
+  describe('ResourceResolver', function() {
+    it('maps packages to URLs', function() {
+      var resolver = new ROSLIB.ResourceResolver({
+        packages: { my_robot: 'http://host/robot/' },
+        packagePath: 'http://host/share'
+      });
+      expect(resolver.resolve('package://my_robot/meshes/base.dae')).to.equal('http://host/robot/meshes/base.dae');
+      expect(resolver.resolve('model://other/meshes/arm.stl')).to.equal('http://host/share/other/meshes/arm.stl');
+      expect(resolver.resolve('http://elsewhere/a.obj')).to.equal('http://elsewhere/a.obj');
+      expect(new ROSLIB.ResourceResolver().resolve('package://my_robot/a.stl')).to.equal(null);
+    });
+
+    it('uses a custom resolve function first', function() {
+      var resolver = new ROSLIB.ResourceResolver({
+        resolve: function(uri) {
+          return uri === 'package://special/a.stl' ? 'http://special/a.stl' : null;
+        },
+        packagePath: 'http://host/'
+      });
+      expect(resolver.resolve('package://special/a.stl')).to.equal('http://special/a.stl');
+      expect(resolver.resolve('package://normal/a.stl')).to.equal('http://host/normal/a.stl');
+    });
+
+    it('rejects unresolvable resources', function() {
+      return new ROSLIB.ResourceResolver().load('package://my_robot/a.stl').then(function() {
+        throw new Error('should not load');
+      }, function(error) {
+        expect(error.message).to.contain('package://my_robot/a.stl');
+      });
+    });
+  });
+
+  describe('MeshLoader', function() {
+    it('parses ASCII STL', function() {
+      var mesh = ROSLIB.MeshLoader.parseStl(toArrayBuffer(ascii_stl));
+      expect(mesh.indices.length).to.equal(6);
+      expect(mesh.vertices.length).to.equal(18);
+      expect(Array.from(mesh.normals.slice(0, 3))).to.deep.equal([0, 0, 1]);
+    });
+
+    it('parses binary STL', function() {
+      var buffer = new ArrayBuffer(84 + 50);
+      var view = new DataView(buffer);
+      view.setUint32(80, 1, true);
+      // a zero normal, to be computed from the triangle
+      [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach(function(value, i) {
+        view.setFloat32(84 + 12 + i * 4, value, true);
+      });
+      var mesh = ROSLIB.MeshLoader.parseStl(buffer);
+      expect(Array.from(mesh.vertices.slice(3, 6))).to.deep.equal([1, 0, 0]);
+      expect(Array.from(mesh.normals.slice(0, 3))).to.deep.equal([0, 0, 1]);
+    });
+
+    it('parses OBJ and triangulates polygons', function() {
+      var mesh = ROSLIB.MeshLoader.parseObj(toArrayBuffer(obj));
+      expect(mesh.vertices.length).to.equal(12);
+      expect(Array.from(mesh.indices)).to.deep.equal([0, 1, 2, 0, 2, 3]);
+      expect(mesh.normals[2]).to.equal(1);
+    });
+
+    it('parses COLLADA with units and node transforms', function() {
+      var mesh = ROSLIB.MeshLoader.parseCollada(toArrayBuffer(collada));
+      expect(mesh.indices.length).to.equal(3);
+      expect(mesh.vertices[3]).to.be.closeTo(1, 1e-6);
+      expect(mesh.vertices[2]).to.be.closeTo(1, 1e-6);
+      expect(mesh.normals[2]).to.be.closeTo(1, 1e-6);
+    });
+
+    it('loads the mesh of a URDF with its scale', function() {
+      var model = new ROSLIB.UrdfModel({
+        string: '<robot name="r"><link name="l"><visual><geometry>' +
+          '<mesh filename="package://my_robot/square.obj" scale="2 3 1"/>' +
+          '</geometry></visual></link></robot>'
+      });
+      var requested;
+      var resolver = new ROSLIB.ResourceResolver({
+        packagePath: 'http://host/',
+        fetch: function(url) {
+          requested = url;
+          return Promise.resolve(toArrayBuffer(obj));
+        }
+      });
+      return model.links.l.visuals[0].geometry.load(resolver).then(function(mesh) {
+        expect(requested).to.equal('http://host/my_robot/square.obj');
+        expect(Array.from(mesh.vertices.slice(6, 9))).to.deep.equal([2, 3, 0]);
+      });
+    });
+
+    it('loads local meshes under Node.js', function() {
+      var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roslib-'));
+      fs.mkdirSync(path.join(directory, 'my_robot'));
+      fs.writeFileSync(path.join(directory, 'my_robot', 'square.stl'), ascii_stl);
+      var model = new ROSLIB.UrdfModel({
+        string: '<robot name="r"><link name="l"><visual><geometry>' +
+          '<mesh filename="package://my_robot/square.stl"/>' +
+          '</geometry></visual></link></robot>'
+      });
+      var resolver = new ROSLIB.ResourceResolver({
+        packagePath: 'file://' + directory
+      });
+      return model.links.l.visuals[0].geometry.load(resolver).then(function(mesh) {
+        expect(mesh.vertices.length).to.equal(18);
+      }).finally(function() {
+        fs.rmSync(directory, { recursive: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+function stamped(secs, nsecs, data) {
+  return { header: { stamp: { secs: secs, nsecs: nsecs } }, data: data };
+}
+
+describe('Message filters', function() {
+  var ros, image, info;
+  beforeEach(function() {
+    ros = new ROSLIB.Ros();
+    ros.callOnConnection = function() {};
+    image = new ROSLIB.Topic({ ros: ros, name: '/camera/image' });
+    info = new ROSLIB.Topic({ ros: ros, name: '/camera/camera_info' });
+  });
+
+  describe('TimeSynchronizer', function() {
+    it('should emit messages with exactly the same stamp', function() {
+      var sync = new ROSLIB.TimeSynchronizer({ topics: [image, info] });
+      var pairs = [];
+      sync.subscribe(function(messages) {
+        pairs.push(messages.map(function(message) {
+          return message.data;
+        }));
+      });
+      ros.emit('/camera/image', stamped(1, 0, 'image1'));
+      ros.emit('/camera/image', stamped(2, 0, 'image2'));
+      ros.emit('/camera/camera_info', stamped(1, 500, 'info1'));
+      ros.emit('/camera/camera_info', stamped(2, 0, 'info2'));
+      ros.emit('/camera/camera_info', stamped(1, 0, 'late'));
+      expect(pairs).to.eql([['image2', 'info2']]);
+
+      sync.dispose();
+      expect(image.subscribeId).to.equal(null);
+    });
+  });
+
+  describe('ApproximateTimeSynchronizer', function() {
+    it('should emit the closest messages within the slop', function() {
+      var sync = new ROSLIB.ApproximateTimeSynchronizer({ topics: [image, info], slop: 0.1 });
+      var pairs = [];
+      sync.subscribe(function(messages) {
+        pairs.push(messages.map(function(message) {
+          return message.data;
+        }));
+      });
+      ros.emit('/camera/image', stamped(1, 0, 'image1'));
+      ros.emit('/camera/camera_info', stamped(1, 500000000, 'far'));
+      ros.emit('/camera/camera_info', stamped(1, 80000000, 'info1'));
+      ros.emit('/camera/camera_info', stamped(2, 0, 'info2'));
+      ros.emit('/camera/image', stamped(1, 950000000, 'image2'));
+      expect(pairs).to.eql([['image1', 'info1'], ['image2', 'info2']]);
+    });
+
+    it('should drop messages beyond the queue size', function() {
+      var sync = new ROSLIB.ApproximateTimeSynchronizer({ topics: [image, info], slop: 0.1, queueSize: 2 });
+      var pairs = [];
+      sync.subscribe(function(messages) {
+        pairs.push(messages);
+      });
+      [1, 2, 3].forEach(function(secs) {
+        ros.emit('/camera/image', stamped(secs, 0));
+      });
+      ros.emit('/camera/camera_info', stamped(1, 0));
+      expect(pairs).to.have.length(0);
+      ros.emit('/camera/camera_info', stamped(3, 0));
+      expect(pairs).to.have.length(1);
+    });
+
+    it('should synchronize the latest messages of the topics', function() {
+      var topics = ['/camera/image', '/camera/camera_info'].map(function(name) {
+        return new ROSLIB.Topic({ ros: ros, name: name, keep_latest: true });
+      });
+      topics.forEach(function(topic) {
+        topic.subscribe(function() {});
+      });
+      ros.emit('/camera/image', stamped(1, 0, 'image'));
+      ros.emit('/camera/camera_info', stamped(1, 50000000, 'info'));
+
+      var sync = new ROSLIB.ApproximateTimeSynchronizer({ topics: topics, slop: 0.1 });
+      var pairs = [];
+      sync.subscribe(function(messages) {
+        pairs.push(messages.map(function(message) {
+          return message.data;
+        }));
+      });
+      expect(pairs).to.eql([['image', 'info']]);
+    });
+
+    it('should unsubscribe from the topics after the last callback', function() {
+      var sync = new ROSLIB.ApproximateTimeSynchronizer({ topics: [image, info] });
+      var callback = function() {};
+      expect(sync.slop).to.equal(0);
+      expect(image.subscribeId).to.not.be.ok;
+      sync.subscribe(callback);
+      expect(image.subscribeId).to.be.a('string');
+      sync.unsubscribe(callback);
+      expect(image.subscribeId).to.equal(null);
+      expect(info.subscribeId).to.equal(null);
+    });
+  });
+
+  describe('Cache', function() {
+    it('should keep a time ordered history', function() {
+      var cache = new ROSLIB.Cache({ topic: image, cacheSize: 3 });
+      [3, 1, 2, 4].forEach(function(secs) {
+        ros.emit('/camera/image', stamped(secs, 0, secs));
+      });
+      expect(cache.getOldestTime()).to.equal(2);
+      expect(cache.getLatestTime()).to.equal(4);
+      expect(cache.getInterval(2.5, { secs: 4, nsecs: 0 }).map(function(message) {
+        return message.data;
+      })).to.eql([3, 4]);
+      expect(cache.getSurroundingInterval(2.5, 3.5).map(function(message) {
+        return message.data;
+      })).to.eql([2, 3, 4]);
+      expect(cache.getElemBeforeTime(3.5).data).to.equal(3);
+      expect(cache.getElemAfterTime(3.5).data).to.equal(4);
+      expect(cache.getElemAfterTime(5)).to.equal(null);
+    });
+
+    it('should warn about messages without a header', function() {
+      var cache = new ROSLIB.Cache({ topic: image });
+      var warnings = [];
+      cache.on('warning', function(warning) {
+        warnings.push(warning);
+      });
+      ros.emit('/camera/image', { data: 1 });
+      expect(cache.getLatestTime()).to.equal(null);
+      expect(warnings).to.eql(['Cannot cache a message without a header']);
+    });
+
+    it('should pass messages on to synchronizers', function() {
+      var cache = new ROSLIB.Cache({ topic: image, cacheSize: 5 });
+      var sync = new ROSLIB.TimeSynchronizer({ topics: [cache, info] });
+      var pairs = [];
+      sync.subscribe(function(messages) {
+        pairs.push(messages);
+      });
+      ros.emit('/camera/image', { header: { stamp: { sec: 7, nanosec: 0 } } });
+      ros.emit('/camera/camera_info', { header: { stamp: { sec: 7, nanosec: 0 } } });
+      expect(pairs).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+// Answers every service call sent through `ros` with `respond(call)`.
+function fakeRosbridge(ros, respond) {
+  ros.callOnConnection = function(message) {
+    if (message.op === 'call_service') {
+      setTimeout(function() {
+        ros.emit(message.id, respond(message));
+      }, 0);
+    }
+  };
+}
+
+describe('Param', function() {
+  it('should resolve with the parsed value', function() {
+    var ros = new ROSLIB.Ros();
+    fakeRosbridge(ros, function(call) {
+      expect(call.args.name).to.equal('max_vel_x');
+      return { values: { value: '0.5' }, result: true };
+    });
+    var param = new ROSLIB.Param({ ros: ros, name: 'max_vel_x' });
+    return param.get().then(function(value) {
+      expect(value).to.equal(0.5);
+    });
+  });
+
+  it('should report failures of get', function(done) {
+    var ros = new ROSLIB.Ros();
+    fakeRosbridge(ros, function() {
+      return { values: 'rosapi is not running', result: false };
+    });
+    var param = new ROSLIB.Param({ ros: ros, name: 'max_vel_x' });
+    param.get(function() {
+      done(new Error('should not succeed'));
+    }, function(error) {
+      expect(error).to.equal('rosapi is not running');
+      done();
+    });
+  });
+
+  it('should reject values that are not valid JSON', function(done) {
+    var ros = new ROSLIB.Ros();
+    fakeRosbridge(ros, function() {
+      return { values: { value: '{broken' }, result: true };
+    });
+    var param = new ROSLIB.Param({ ros: ros, name: 'max_vel_x' });
+    param.get().then(function() {
+      done(new Error('should not succeed'));
+    }, function(error) {
+      expect(error).to.be.an.instanceof(ROSLIB.RosError);
+      expect(error.operation).to.equal('max_vel_x');
+      expect(error.details).to.equal('{broken');
+      param.get(function() {
+        done(new Error('should not succeed'));
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ROSLIB.RosError);
+        expect(error.details).to.equal('{broken');
+        done();
+      });
+    });
+  });
+
+  it('should accept a failedCallback without a callback', function(done) {
+    var ros = new ROSLIB.Ros();
+    fakeRosbridge(ros, function(call) {
+      if (call.service === '/rosapi/get_param_names') {
+        return { values: 'failed', result: false };
+      }
+      return { values: { value: '0.5' }, result: true };
+    });
+    var param = new ROSLIB.Param({ ros: ros, name: 'max_vel_x' });
+    var failed = function() {
+      done(new Error('should not fail'));
+    };
+    expect(param.get(undefined, failed)).to.equal(undefined);
+    expect(ros.getNodeDetails('/node', undefined, failed)).to.equal(undefined);
+    setTimeout(function() {
+      ros.getParams(undefined, function(error) {
+        expect(error).to.equal('failed');
+        done();
+      });
+    }, 10);
+  });
+});
@@ -0,0 +1,34 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+describe('Pose', function() {
+  var pose;
+  beforeEach(function() {
+    pose = new ROSLIB.Pose({
+      position: { x: 1, y: 2, z: 0 },
+      orientation: ROSLIB.Quaternion.fromEuler(0, 0, Math.PI / 2)
+    });
+  });
+
+  it('should compute the distance between positions', function() {
+    expect(pose.distanceTo(new ROSLIB.Pose({ position: { x: 4, y: 6, z: 0 } }))).to.equal(5);
+  });
+
+  it('should transform points into its parent frame', function() {
+    var point = new ROSLIB.Vector3({ x: 1 });
+    var transformed = pose.applyToPoint(point);
+    expect(transformed.x).to.be.closeTo(1, 1e-9);
+    expect(transformed.y).to.be.closeTo(3, 1e-9);
+    expect(point.x).to.equal(1);
+  });
+
+  it('should interpolate position and orientation', function() {
+    var halfway = ROSLIB.Pose.interpolate(pose, new ROSLIB.Pose(), 0.5);
+    expect(halfway.position).to.include({ x: 0.5, y: 1, z: 0 });
+    expect(halfway.orientation.angleTo(ROSLIB.Quaternion.fromEuler(0, 0, Math.PI / 4))).to.be.closeTo(0, 1e-6);
+    expect(pose.position.x).to.equal(1);
+
+    pose.interpolate(new ROSLIB.Pose(), 1);
+    expect(pose.position).to.include({ x: 0, y: 0, z: 0 });
+  });
+});
@@ -62,4 +62,55 @@ describe('Quaternion', function() {
     });
   });
 
+  describe('slerp', function() {
+    it('should interpolate along the shortest path', function() {
+      var q = new ROSLIB.Quaternion();
+      // the half turn given with a negative w, which is the same rotation
+      q.slerp({ x: 0, y: 0, z: -Math.SQRT1_2, w: -Math.SQRT1_2 }, 0.5);
+      expect(q.z).to.be.closeTo(Math.sin(Math.PI / 8), 1e-9);
+      expect(q.w).to.be.closeTo(Math.cos(Math.PI / 8), 1e-9);
+    });
+  });
+
+  describe('conversions', function() {
+    it('should convert from ROS roll, pitch, yaw', function() {
+      var q = ROSLIB.Quaternion.fromEuler(0, 0, Math.PI / 2);
+      expect(q.equals({ x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 }, 1e-9)).to.equal(true);
+      // roll is applied first about the fixed axes
+      q = ROSLIB.Quaternion.fromEuler(Math.PI / 2, 0, Math.PI / 2);
+      expect(q.equals({ x: 0.5, y: 0.5, z: 0.5, w: 0.5 }, 1e-9)).to.equal(true);
+    });
+
+    it('should convert Euler angles back and forth in every order', function() {
+      ['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'].forEach(function(order) {
+        var euler = ROSLIB.Quaternion.fromEuler(0.1, -0.4, 1.2, order).toEuler(order);
+        expect(euler.roll).to.be.closeTo(0.1, 1e-9);
+        expect(euler.pitch).to.be.closeTo(-0.4, 1e-9);
+        expect(euler.yaw).to.be.closeTo(1.2, 1e-9);
+      });
+    });
+
+    it('should convert axis and angle back and forth', function() {
+      var q = ROSLIB.Quaternion.fromAxisAngle({ x: 0, y: 2, z: 0 }, 1.2);
+      var axisAngle = q.toAxisAngle();
+      expect(axisAngle.angle).to.be.closeTo(1.2, 1e-9);
+      expect(axisAngle.axis.y).to.be.closeTo(1, 1e-9);
+    });
+
+    it('should convert rotation matrices back and forth', function() {
+      var q = ROSLIB.Quaternion.fromEuler(2.9, 0.3, -1.4);
+      var matrix = q.toRotationMatrix();
+      expect(matrix).to.have.length(9);
+      var back = ROSLIB.Quaternion.fromRotationMatrix(matrix);
+      expect(back.angleTo(q)).to.be.closeTo(0, 1e-6);
+      expect(ROSLIB.Quaternion.fromRotationMatrix({ elements: matrix }).angleTo(q)).to.be.closeTo(0, 1e-6);
+    });
+
+    it('should measure the angle between rotations', function() {
+      var a = ROSLIB.Quaternion.fromEuler(0, 0, 0.5);
+      var b = ROSLIB.Quaternion.fromEuler(0, 0, -0.5);
+      expect(a.angleTo(b)).to.be.closeTo(1, 1e-9);
+    });
+  });
+
 });
@@ -29,5 +29,72 @@ describe('ROS', function() {
     });
   });
 
+  describe('reconnect', function() {
+    it('should not reconnect unless asked to', function() {
+      var ros = new ROSLIB.Ros();
+      expect(ros.reconnect).to.equal(null);
+    });
+
+    it('should keep delays of zero', function() {
+      var ros = new ROSLIB.Ros({ reconnect: { initialDelay: 0, maxDelay: 0 } });
+      expect(ros.reconnect.initialDelay).to.equal(0);
+      expect(ros.reconnect.maxDelay).to.equal(0);
+      expect(new ROSLIB.Ros({ reconnect: true }).reconnect.initialDelay).to.equal(1000);
+    });
+
+    it('should back off exponentially and report the reconnection', function(done) {
+      var ros = new ROSLIB.Ros({
+        reconnect: { initialDelay: 5, jitter: 0 }
+      });
+      var delays = [];
+      var attempts = 0;
+      ros.url = 'ws://localhost:9090';
+      ros.connect = function(url) {
+        expect(url).to.equal('ws://localhost:9090');
+        attempts++;
+        if (attempts < 3) {
+          ros.emit('close');
+        } else {
+          ros.emit('connection');
+        }
+      };
+      ros.on('reconnecting', function(attempt, delay) {
+        delays.push(delay);
+      });
+      ros.on('reconnected', function(count) {
+        expect(count).to.equal(3);
+        expect(delays).to.eql([5, 10, 20]);
+        expect(ros.reconnectAttempts).to.equal(0);
+        done();
+      });
+      ros.emit('close');
+    });
+
+    it('should give up after maxAttempts', function(done) {
+      var ros = new ROSLIB.Ros({
+        reconnect: { initialDelay: 1, maxAttempts: 2 }
+      });
+      ros.connect = function() {
+        ros.emit('close');
+      };
+      ros.on('reconnect_failed', function(attempts) {
+        expect(attempts).to.equal(2);
+        done();
+      });
+      ros.emit('close');
+    });
+
+    it('should not reconnect after close was called', function() {
+      var ros = new ROSLIB.Ros({ reconnect: true });
+      var reconnecting = false;
+      ros.on('reconnecting', function() {
+        reconnecting = true;
+      });
+      ros.close();
+      ros.emit('close');
+      expect(reconnecting).to.equal(false);
+    });
+  });
+
 });
 
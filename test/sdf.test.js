@@ -0,0 +1,152 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+var sample_sdf = function() {
+  return '<sdf version="1.7">' +
+    '  <model name="arm">' +
+    '    <frame name="mount"><pose>0 0 0.5 0 0 0</pose></frame>' +
+    '    <link name="base">' +
+    '      <pose relative_to="mount">0 0 0 0 0 0</pose>' +
+    '      <inertial><mass>3</mass><inertia><ixx>0.1</ixx><iyy>0.2</iyy><izz>0.3</izz></inertia></inertial>' +
+    '      <visual name="base_visual">' +
+    '        <geometry><box><size>1 2 3</size></box></geometry>' +
+    '        <material><diffuse>1 0 0 1</diffuse></material>' +
+    '      </visual>' +
+    '    </link>' +
+    '    <link name="upper">' +
+    '      <pose>0 0 1.5 0 0 0</pose>' +
+    '      <visual name="upper_visual">' +
+    '        <pose>0 0 0.5 0 0 0</pose>' +
+    '        <geometry><cylinder><radius>0.1</radius><length>1</length></cylinder></geometry>' +
+    '      </visual>' +
+    '      <collision name="upper_collision">' +
+    '        <geometry><mesh><uri>model://arm/meshes/upper.dae</uri><scale>2 2 2</scale></mesh></geometry>' +
+    '      </collision>' +
+    '    </link>' +
+    '    <joint name="shoulder" type="revolute">' +
+    '      <parent>base</parent>' +
+    '      <child>upper</child>' +
+    '      <pose>0 0 -0.5 0 0 0</pose>' +
+    '      <axis>' +
+    '        <xyz expressed_in="__model__">0 1 0</xyz>' +
+    '        <limit><lower>-1</lower><upper>1</upper><effort>10</effort><velocity>2</velocity></limit>' +
+    '      </axis>' +
+    '    </joint>' +
+    '    <joint name="spin" type="revolute">' +
+    '      <parent>upper</parent>' +
+    '      <child>tip</child>' +
+    '      <axis><xyz>0 0 1</xyz></axis>' +
+    '    </joint>' +
+    '    <link name="tip"><pose relative_to="upper">0 0 1 0 0 1.5707963267948966</pose></link>' +
+    '  </model>' +
+    '</sdf>';
+};
+
+describe('SDF', function() {
+  var sdf = new ROSLIB.SdfModel({ string: sample_sdf() });
+
+  it('parses links into the URDF structure', function() {
+    expect(sdf).to.be.an.instanceof(ROSLIB.UrdfModel);
+    expect(sdf.name).to.equal('arm');
+    expect(Object.keys(sdf.links)).to.have.members(['base', 'upper', 'tip']);
+
+    var visual = sdf.links.base.visuals[0];
+    expect(visual).to.be.an.instanceof(ROSLIB.UrdfVisual);
+    expect(visual.geometry.type).to.equal(ROSLIB.URDF_BOX);
+    expect(visual.geometry.dimension.z).to.equal(3);
+    expect(visual.material.color.r).to.equal(1);
+    expect(sdf.links.base.inertial.mass).to.equal(3);
+    expect(sdf.links.base.inertial.inertia.iyy).to.equal(0.2);
+
+    var collision = sdf.links.upper.collisions[0];
+    expect(collision.geometry.type).to.equal(ROSLIB.URDF_MESH);
+    expect(collision.geometry.filename).to.equal('model://arm/meshes/upper.dae');
+    expect(collision.geometry.scale.x).to.equal(2);
+  });
+
+  it('moves child links into the joint frame', function() {
+    var shoulder = sdf.joints.shoulder;
+    expect(sdf.rootLink.name).to.equal('base');
+    // the base is at 0.5, the joint 0.5 below the upper link at 1.5
+    expect(shoulder.origin.position.z).to.be.closeTo(0.5, 1e-9);
+    expect(shoulder.minval).to.equal(-1);
+    expect(shoulder.effort).to.equal(10);
+    expect(shoulder.axis.y).to.be.closeTo(1, 1e-9);
+    // so the visual of the upper link moves up by 0.5 as well
+    expect(sdf.links.upper.visuals[0].origin.position.z).to.be.closeTo(1, 1e-9);
+    expect(sdf.links.upper.collisions[0].origin.position.z).to.be.closeTo(0.5, 1e-9);
+
+    var spin = sdf.joints.spin;
+    expect(spin.type).to.equal('continuous');
+    expect(spin.origin.position.z).to.be.closeTo(1.5, 1e-9);
+    expect(spin.origin.orientation.z).to.be.closeTo(Math.SQRT1_2, 1e-9);
+  });
+
+  it('computes link poses and serializes to URDF', function() {
+    var poses = sdf.computeLinkPoses({ shoulder: 0 });
+    expect(poses.tip.position.z).to.be.closeTo(2, 1e-9);
+
+    var urdf = new ROSLIB.UrdfModel({ string: sdf.toString() });
+    expect(urdf.joints.shoulder.parent).to.equal('base');
+    expect(urdf.links.upper.visuals[0].geometry.radius).to.equal(0.1);
+  });
+
+  it('reads degrees, quaternions and the frame attribute of poses', function() {
+    var model = new ROSLIB.SdfModel({
+      string: '<sdf version="1.7"><model name="m">' +
+        '<frame name="f"><pose>0 0 1 0 0 0</pose></frame>' +
+        '<link name="root"/>' +
+        '<link name="a"><pose degrees="true">0 0 0 0 0 90</pose></link>' +
+        '<link name="b"><pose rotation_format="quat_xyzw">0 0 0 0 0 0.7071068 0.7071068</pose></link>' +
+        '<link name="c"><pose frame="f">0 0 1 0 0 0</pose>' +
+        '<visual name="v"><geometry><box><size>1 1 1</size></box></geometry></visual></link>' +
+        '<joint name="to_a" type="fixed"><parent>root</parent><child>a</child></joint>' +
+        '<joint name="to_b" type="fixed"><parent>root</parent><child>b</child></joint>' +
+        '<joint name="to_c" type="fixed"><parent>root</parent><child>c</child></joint>' +
+        '</model></sdf>',
+      warn: function(message) {
+        throw new Error(message);
+      }
+    });
+    var poses = model.computeLinkPoses({});
+    expect(poses.a.orientation.z).to.be.closeTo(Math.SQRT1_2, 1e-9);
+    expect(poses.b.orientation.z).to.be.closeTo(Math.SQRT1_2, 1e-6);
+    expect(poses.c.position.z).to.be.closeTo(2, 1e-9);
+  });
+
+  it('warns about unknown frames instead of throwing', function() {
+    var warnings = [];
+    var model = new ROSLIB.SdfModel({
+      string: '<sdf version="1.7"><model name="m">' +
+        '<link name="a"><pose relative_to="nowhere">0 0 1 0 0 0</pose></link>' +
+        '<link name="b"><pose rotation_format="axis_angle">0 0 0 0 0 1 0</pose></link>' +
+        '<joint name="j" type="fixed"><parent>a</parent></joint>' +
+        '</model></sdf>',
+      warn: function(message) {
+        warnings.push(message);
+      }
+    });
+    expect(model.links.a.name).to.equal('a');
+    expect(warnings).to.include('Unknown frame nowhere, using the model frame instead.');
+    expect(warnings).to.include('Unsupported rotation format axis_angle of a pose.');
+    expect(warnings).to.include('Joint j has no child link.');
+  });
+
+  it('reports problems through the warn option', function() {
+    var warnings = [];
+    var warn = function(message) {
+      warnings.push(message);
+    };
+    var model = new ROSLIB.SdfModel({
+      string: '<sdf version="1.7"><model name="m"><link name="l">' +
+        '<visual name="v"><geometry><heightmap/></geometry></visual></link></model></sdf>',
+      warn: warn
+    });
+    expect(model.links.l.visuals[0].geometry).to.equal(null);
+
+    var empty = new ROSLIB.SdfModel({ string: '<sdf version="1.7"><world name="w"/></sdf>', warn: warn });
+    expect(empty.links).to.eql({});
+    expect(empty.rootLink).to.equal(null);
+    expect(warnings).to.eql(['Unsupported geometry type heightmap', 'The SDF document has no model.']);
+  });
+});
@@ -0,0 +1,172 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+// Answers every service call sent through `ros` with `respond(call)`.
+function fakeRosbridge(ros, respond) {
+  ros.callOnConnection = function(message) {
+    if (message.op === 'call_service') {
+      setTimeout(function() {
+        ros.emit(message.id, respond(message));
+      }, 0);
+    }
+  };
+}
+
+describe('Service', function() {
+
+  describe('callService', function() {
+    it('should still call back with the response', function(done) {
+      var ros = new ROSLIB.Ros();
+      fakeRosbridge(ros, function(call) {
+        return { values: { sum: call.args.a + call.args.b }, result: true };
+      });
+      var service = new ROSLIB.Service({ ros: ros, name: '/add_two_ints' });
+      service.callService(new ROSLIB.ServiceRequest({ a: 1, b: 2 }), function(response) {
+        expect(response.sum).to.equal(3);
+        done();
+      });
+    });
+
+    it('should return a Promise when no callback is given', function() {
+      var ros = new ROSLIB.Ros();
+      fakeRosbridge(ros, function(call) {
+        return { values: { sum: call.args.a + call.args.b }, result: true };
+      });
+      var service = new ROSLIB.Service({ ros: ros, name: '/add_two_ints' });
+      return service.callService(new ROSLIB.ServiceRequest({ a: 1, b: 2 })).then(function(response) {
+        expect(response.sum).to.equal(3);
+      });
+    });
+
+    it('should reject with a RosError when the call failed', function() {
+      var ros = new ROSLIB.Ros();
+      fakeRosbridge(ros, function() {
+        return { values: 'service does not exist', result: false };
+      });
+      var service = new ROSLIB.Service({ ros: ros, name: '/missing' });
+      return service.callService(new ROSLIB.ServiceRequest()).then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ROSLIB.RosError);
+        expect(error.code).to.equal('SERVICE_FAILED');
+        expect(error.operation).to.equal('/missing');
+        expect(error.message).to.equal('service does not exist');
+      });
+    });
+  });
+
+  describe('timeout and cancellation', function() {
+    it('should reject with a TIMEOUT error and drop the pending listener', function() {
+      var ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      var service = new ROSLIB.Service({ ros: ros, name: '/slow' });
+      return service.callService(new ROSLIB.ServiceRequest(), null, null, { timeout: 10 }).then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ROSLIB.RosError);
+        expect(error.code).to.equal('TIMEOUT');
+        expect(ros.listeners('call_service:/slow:1')).to.have.length(0);
+      });
+    });
+
+    it('should call the failed callback when aborted', function(done) {
+      var ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      var service = new ROSLIB.Service({ ros: ros, name: '/slow' });
+      var controller = new AbortController();
+      service.callService(new ROSLIB.ServiceRequest(), function() {
+        done(new Error('should not succeed'));
+      }, function(error) {
+        expect(error.code).to.equal('ABORTED');
+        expect(ros.listeners('call_service:/slow:1')).to.have.length(0);
+        done();
+      }, { signal: controller.signal });
+      controller.abort();
+    });
+
+    it('should apply to the rosapi helpers', function() {
+      var ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      return ros.getTopics(null, null, { timeout: 10 }).then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        expect(error.code).to.equal('TIMEOUT');
+        expect(error.operation).to.equal('/rosapi/topics');
+      });
+    });
+  });
+
+  describe('status', function() {
+    it('should fail the call on a rosbridge error status', function(done) {
+      var ros = new ROSLIB.Ros();
+      var sent = [];
+      ros.callOnConnection = function(message) {
+        sent.push(message);
+      };
+      var service = new ROSLIB.Service({ ros: ros, name: '/add_two_ints', serviceType: 'bad/Type' });
+      service.callService(new ROSLIB.ServiceRequest(), function() {
+        done(new Error('should not succeed'));
+      }, function(error) {
+        expect(error.message).to.equal('Unable to load the service type');
+        expect(error.code).to.equal('STATUS');
+        done();
+      });
+      expect(sent[0].op).to.equal('set_level');
+      expect(sent[0].level).to.equal('warning');
+      expect(ros.statusLevel).to.equal(undefined);
+      ros.emit('status:' + sent[1].id, { op: 'status', level: 'error', msg: 'Unable to load the service type' });
+    });
+
+    it('should reject the promise with a STATUS error', function() {
+      var ros = new ROSLIB.Ros();
+      var sent = [];
+      ros.callOnConnection = function(message) {
+        sent.push(message);
+      };
+      var service = new ROSLIB.Service({ ros: ros, name: '/add_two_ints', serviceType: 'bad/Type' });
+      var promise = service.callService(new ROSLIB.ServiceRequest());
+      ros.emit('status:' + sent[1].id, { op: 'status', level: 'error', msg: 'Unable to load the service type' });
+      return promise.then(function() {
+        throw new Error('should not succeed');
+      }, function(error) {
+        expect(error.code).to.equal('STATUS');
+      });
+    });
+
+    it('should keep the chosen status levels', function() {
+      var ros = new ROSLIB.Ros();
+      var sent = [];
+      ros.callOnConnection = function(message) {
+        sent.push(message);
+      };
+      ros.setStatusLevel('error');
+      ros.setStatusLevel('info', 'call_service:/debugged:1');
+      new ROSLIB.Service({ ros: ros, name: '/add_two_ints' }).callService(new ROSLIB.ServiceRequest(), function() {});
+      expect(ros.statusLevel).to.equal('error');
+      expect(sent.filter(function(message) {
+        return message.op === 'set_level';
+      })).to.have.length(2);
+
+      sent = [];
+      ros.emit('close');
+      expect(sent).to.eql([
+        { op: 'set_level', level: 'error' },
+        { op: 'set_level', level: 'info', id: 'call_service:/debugged:1' }
+      ]);
+    });
+  });
+
+  describe('rosapi helpers', function() {
+    it('should resolve with the picked field of the response', function() {
+      var ros = new ROSLIB.Ros();
+      fakeRosbridge(ros, function(call) {
+        expect(call.service).to.equal('/rosapi/nodes');
+        return { values: { nodes: ['/rosout'] }, result: true };
+      });
+      return ros.getNodes().then(function(nodes) {
+        expect(nodes).to.eql(['/rosout']);
+      });
+    });
+  });
+
+});
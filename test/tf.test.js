@@ -0,0 +1,114 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+function transformStamped(parent, child, secs, translation, rotation) {
+  return {
+    header: { frame_id: parent, stamp: { secs: secs, nsecs: 0 } },
+    child_frame_id: child,
+    transform: {
+      translation: translation,
+      rotation: rotation || { x: 0, y: 0, z: 0, w: 1 }
+    }
+  };
+}
+
+// a quarter turn around z
+var QUARTER = { x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 };
+
+describe('TFBuffer', function() {
+  var buffer;
+  beforeEach(function() {
+    buffer = new ROSLIB.TFBuffer();
+    buffer.setTransform(transformStamped('map', 'odom', 0, { x: 1, y: 0, z: 0 }), true);
+    buffer.setTransform(transformStamped('odom', 'base_link', 1, { x: 0, y: 2, z: 0 }, QUARTER));
+    buffer.setTransform(transformStamped('base_link', 'laser', 1, { x: 1, y: 0, z: 0 }));
+    buffer.setTransform(transformStamped('/map', '/camera', 1, { x: 0, y: 0, z: 5 }));
+  });
+
+  it('should chain transforms up the tree', function() {
+    var tf = buffer.lookupTransform('map', 'laser');
+    expect(tf.translation.x).to.be.closeTo(1, 1e-9);
+    expect(tf.translation.y).to.be.closeTo(3, 1e-9);
+    expect(tf.rotation.z).to.be.closeTo(Math.SQRT1_2, 1e-9);
+  });
+
+  it('should transform between branches of the tree', function() {
+    var tf = buffer.lookupTransform('/camera', 'laser');
+    expect(tf.translation.x).to.be.closeTo(1, 1e-9);
+    expect(tf.translation.y).to.be.closeTo(3, 1e-9);
+    expect(tf.translation.z).to.be.closeTo(-5, 1e-9);
+  });
+
+  it('should use the history at the requested time', function() {
+    buffer.setTransform(transformStamped('odom', 'base_link', 2, { x: 0, y: 4, z: 0 }, QUARTER));
+    expect(buffer.lookupTransform('odom', 'base_link', { secs: 1, nsecs: 0 }).translation.y).to.equal(2);
+    expect(buffer.lookupTransform('odom', 'base_link', { sec: 2, nanosec: 0 }).translation.y).to.equal(4);
+    expect(buffer.lookupTransform('odom', 'base_link').translation.y).to.equal(4);
+  });
+
+  it('should interpolate between samples', function() {
+    buffer.setTransform(transformStamped('odom', 'base_link', 2, { x: 0, y: 4, z: 0 }, { x: 0, y: 0, z: 1, w: 0 }));
+    var tf = buffer.lookupTransform('odom', 'base_link', { secs: 1, nsecs: 500000000 });
+    expect(tf.translation.y).to.be.closeTo(3, 1e-9);
+    // halfway between a quarter and a half turn
+    expect(tf.rotation.z).to.be.closeTo(Math.sin(3 * Math.PI / 8), 1e-9);
+    expect(tf.rotation.w).to.be.closeTo(Math.cos(3 * Math.PI / 8), 1e-9);
+  });
+
+  it('should only extrapolate within the limit', function() {
+    expect(function() {
+      buffer.lookupTransform('map', 'laser', 1.5);
+    }).to.throw(ROSLIB.RosError).with.property('code', 'EXTRAPOLATION');
+
+    buffer.maxExtrapolation = 0.5;
+    expect(buffer.lookupTransform('map', 'laser', 1.5).translation.y).to.be.closeTo(3, 1e-9);
+    expect(function() {
+      buffer.lookupTransform('map', 'laser', 0.4);
+    }).to.throw(/past/);
+  });
+
+  it('should drop history older than the cache time', function() {
+    buffer.setTransform(transformStamped('odom', 'base_link', 20, { x: 0, y: 4, z: 0 }));
+    expect(buffer.frames.base_link.history).to.have.length(1);
+  });
+
+  it('should throw a LOOKUP_FAILED error for unconnected frames', function() {
+    expect(function() {
+      buffer.lookupTransform('map', 'gripper');
+    }).to.throw(ROSLIB.RosError).with.property('code', 'LOOKUP_FAILED');
+  });
+});
+
+describe('TFListener', function() {
+  it('should call back subscribers with transforms relative to the fixed frame', function() {
+    var ros = new ROSLIB.Ros();
+    ros.callOnConnection = function() {};
+    var listener = new ROSLIB.TFListener({ ros: ros, fixedFrame: 'map' });
+    var received = [];
+    listener.subscribe('base_link', function(tf) {
+      received.push(tf.translation.x);
+    });
+
+    ros.emit('/tf_static', { transforms: [transformStamped('map', 'odom', 0, { x: 1, y: 0, z: 0 })] });
+    ros.emit('/tf', { transforms: [transformStamped('odom', 'base_link', 1, { x: 2, y: 0, z: 0 })] });
+    // unchanged, no call back
+    ros.emit('/tf', { transforms: [transformStamped('odom', 'base_link', 2, { x: 2, y: 0, z: 0 })] });
+    ros.emit('/tf', { transforms: [transformStamped('odom', 'base_link', 3, { x: 3, y: 0, z: 0 })] });
+    expect(received).to.eql([3, 4]);
+
+    listener.subscribe('/base_link', function(tf) {
+      received.push(tf.translation.x);
+    });
+    expect(received).to.eql([3, 4, 4]);
+    listener.dispose();
+  });
+
+  it('should pass the buffer options on to its TFBuffer', function() {
+    var ros = new ROSLIB.Ros();
+    ros.callOnConnection = function() {};
+    var listener = new ROSLIB.TFListener({ ros: ros, cacheTime: 5, maxExtrapolation: 0.5 });
+    expect(listener.buffer.cacheTime).to.equal(5);
+    expect(listener.buffer.maxExtrapolation).to.equal(0.5);
+    listener.dispose();
+  });
+});
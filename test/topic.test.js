@@ -0,0 +1,354 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+// A data channel stand-in, so a Ros can be connected without a rosbridge.
+function RTCPeerConnection() {}
+RTCPeerConnection.prototype.createDataChannel = function() {
+  return {
+    send: function() {},
+    close: function() {}
+  };
+};
+
+describe('Topic', function() {
+
+  describe('status', function() {
+    var ros, topic;
+    beforeEach(function() {
+      ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      topic = new ROSLIB.Topic({ ros: ros, name: '/chatter', messageType: 'std_msgs/Strin' });
+    });
+
+    it('should emit rosbridge errors of the subscription', function(done) {
+      topic.on('error', function(error) {
+        expect(error).to.be.an.instanceof(ROSLIB.RosError);
+        expect(error.code).to.equal('STATUS');
+        expect(error.operation).to.equal('/chatter');
+        expect(error.details.msg).to.equal('Unable to load the manifest for package std_msgs');
+        done();
+      });
+      topic.subscribe(function() {});
+      ros.emit('status:' + topic.subscribeId, {
+        op: 'status',
+        level: 'error',
+        id: topic.subscribeId,
+        msg: 'Unable to load the manifest for package std_msgs'
+      });
+    });
+
+    it('should emit rosbridge warnings of publishing', function(done) {
+      topic.on('warning', function(warning) {
+        expect(warning).to.contain('publish /chatter');
+        done();
+      });
+      topic.publish(new ROSLIB.Message({ data: 'hello' }));
+      ros.emit('status:' + topic.publishId, { op: 'status', level: 'warning', msg: 'slow' });
+    });
+
+    it('should not throw on errors nobody listens to', function() {
+      topic.advertise();
+      ros.emit('status:' + topic.advertiseId, { op: 'status', level: 'error', msg: 'bad type' });
+    });
+
+    it('should stop listening once unsubscribed', function() {
+      topic.subscribe(function() {});
+      var statusEvent = 'status:' + topic.subscribeId;
+      expect(ros.listeners(statusEvent)).to.have.length(1);
+      topic.unsubscribe();
+      expect(ros.listeners(statusEvent)).to.have.length(0);
+    });
+  });
+
+  describe('statistics', function() {
+    it('should measure the size of messages as received', function() {
+      var ros = new ROSLIB.Ros({ transportLibrary: new RTCPeerConnection() });
+      ros.connect('rosbridge');
+      ros.socket.onopen();
+      var topic = new ROSLIB.Topic({ ros: ros, name: '/scan', messageType: 'std_msgs/String', statistics: true });
+      topic.subscribe(function() {});
+
+      var json = JSON.stringify({ op: 'publish', topic: '/scan', msg: { data: 'h\u00e9llo' } });
+      ros.socket.onmessage({ data: json });
+      var cbor = new ArrayBuffer(29);
+      new Uint8Array(cbor).set([0xa3, 0x62, 0x6f, 0x70, 0x67, 0x70, 0x75, 0x62, 0x6c, 0x69, 0x73, 0x68,
+        0x65, 0x74, 0x6f, 0x70, 0x69, 0x63, 0x65, 0x2f, 0x73, 0x63, 0x61, 0x6e,
+        0x63, 0x6d, 0x73, 0x67, 0xa0]);
+      ros.socket.onmessage({ data: cbor });
+
+      var stats = topic.stats();
+      expect(stats.count).to.equal(2);
+      // the e with accent takes two bytes
+      expect(stats.size.min).to.equal(29);
+      expect(stats.size.max).to.equal(json.length + 1);
+      topic.unsubscribe();
+    });
+
+    it('should compute rate, jitter and bandwidth over the window', function() {
+      var ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      var topic = new ROSLIB.Topic({ ros: ros, name: '/scan', statistics: true, statistics_window: 1000 });
+      // at 0, 100, 300 and 400 ms, and one outside the window
+      [-2000, 0, 100, 300, 400].forEach(function(time) {
+        topic.statistics.record(100, time);
+      });
+      var stats = topic.statistics.compute(500);
+      expect(stats.count).to.equal(4);
+      expect(stats.rate.mean).to.be.closeTo(7.5, 1e-9);
+      expect(stats.rate.min).to.be.closeTo(5, 1e-9);
+      expect(stats.rate.max).to.be.closeTo(10, 1e-9);
+      expect(stats.jitter).to.be.closeTo(0.0471405, 1e-6);
+      expect(stats.size.mean).to.equal(100);
+      expect(stats.bandwidth).to.be.closeTo(800, 1e-9);
+    });
+
+    it('should emit stats periodically while subscribed', function(done) {
+      var ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      var topic = new ROSLIB.Topic({ ros: ros, name: '/scan', statistics: true, statistics_interval: 5 });
+      expect(new ROSLIB.Topic({ ros: ros, name: '/scan' }).stats()).to.equal(null);
+      topic.subscribe(function() {});
+      ros.emit('/scan', { data: 'a' }, 10);
+      topic.once('stats', function(stats) {
+        expect(stats.count).to.equal(1);
+        topic.unsubscribe();
+        expect(topic._statsTimer).to.equal(null);
+        expect(topic.stats().count).to.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('waiting', function() {
+    var ros, topic;
+    beforeEach(function() {
+      ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      topic = new ROSLIB.Topic({ ros: ros, name: '/count', messageType: 'std_msgs/Int32' });
+    });
+
+    it('should resolve with the next matching message and unsubscribe', function() {
+      var promise = topic.waitForMessage({
+        filter: function(message) {
+          return message.data > 1;
+        }
+      });
+      expect(topic.subscribeId).to.be.a('string');
+      [1, 2, 3].forEach(function(data) {
+        ros.emit('/count', { data: data });
+      });
+      return promise.then(function(message) {
+        expect(message.data).to.equal(2);
+        expect(topic.subscribeId).to.equal(null);
+      });
+    });
+
+    it('should time out', function() {
+      return topic.waitForMessage({ timeout: 5 }).then(function() {
+        throw new Error('should time out');
+      }, function(error) {
+        expect(error.code).to.equal('TIMEOUT');
+        expect(topic.subscribeId).to.equal(null);
+      });
+    });
+
+    it('should iterate over messages with for await', function() {
+      var received = [];
+      var iterate = function(iterator) {
+        return iterator.next().then(function(result) {
+          received.push(result.value.data);
+          if (result.value.data === 3) {
+            return iterator.return();
+          }
+          return iterate(iterator);
+        });
+      };
+      var iterator = topic[Symbol.asyncIterator]();
+      var done = iterate(iterator);
+      [1, 2, 3, 4].forEach(function(data) {
+        ros.emit('/count', { data: data });
+      });
+      return done.then(function() {
+        expect(received).to.eql([1, 2, 3]);
+        expect(topic.subscribeId).to.equal(null);
+        return iterator.next();
+      }).then(function(result) {
+        expect(result.done).to.equal(true);
+      });
+    });
+
+    it('should drop messages beyond the buffer size', function() {
+      var oldest = topic.messages({ bufferSize: 2 });
+      var newest = topic.messages({ bufferSize: 2, dropPolicy: 'newest' });
+      [1, 2, 3].forEach(function(data) {
+        ros.emit('/count', { data: data });
+      });
+      var values = function(iterator) {
+        return Promise.all([iterator.next(), iterator.next()]).then(function(results) {
+          return results.map(function(result) {
+            return result.value.data;
+          });
+        });
+      };
+      return Promise.all([values(oldest), values(newest)]).then(function(results) {
+        expect(results).to.eql([[2, 3], [1, 2]]);
+        topic.unsubscribe();
+        return oldest.next();
+      }).then(function(result) {
+        expect(result.done).to.equal(true);
+      });
+    });
+
+    it('should unsubscribe once when iterating', function() {
+      var ops = [];
+      var unsubscribed = 0;
+      ros.callOnConnection = function(message) {
+        ops.push(message);
+      };
+      topic.on('unsubscribe', function() {
+        unsubscribed++;
+      });
+      var iterator = topic.messages();
+      var id = topic.subscribeId;
+      topic.unsubscribe();
+      expect(unsubscribed).to.equal(1);
+      expect(ops.filter(function(message) {
+        return message.op === 'unsubscribe';
+      })).to.eql([{ op: 'unsubscribe', id: id, topic: '/count' }]);
+      return iterator.next().then(function(result) {
+        expect(result.done).to.equal(true);
+      });
+    });
+  });
+
+  describe('latest', function() {
+    var ros, topic;
+    beforeEach(function() {
+      ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      topic = new ROSLIB.Topic({ ros: ros, name: '/battery_state', keep_latest: true, latest_max_age: 1000 });
+    });
+
+    it('should keep the latest message and replay it to late subscribers', function() {
+      expect(topic.latest).to.equal(null);
+      expect(topic.isStale()).to.equal(true);
+      topic.subscribe(function() {});
+      ros.emit('/battery_state', { percentage: 0.5 });
+      ros.emit('/battery_state', { percentage: 0.4 });
+      expect(topic.latest.percentage).to.equal(0.4);
+      expect(topic.latestTime).to.be.closeTo(Date.now(), 1000);
+      expect(topic.isStale()).to.equal(false);
+
+      var replayed = [];
+      topic.subscribe(function(message) {
+        replayed.push(message.percentage);
+      });
+      expect(replayed).to.eql([0.4]);
+    });
+
+    it('should not replay stale messages', function() {
+      topic.subscribe(function() {});
+      ros.emit('/battery_state', { percentage: 0.5 });
+      topic._latest.time -= 2000;
+      expect(topic.isStale()).to.equal(true);
+      expect(topic.isStale(0)).to.equal(false);
+      var replayed = [];
+      topic.subscribe(function(message) {
+        replayed.push(message);
+      });
+      expect(replayed).to.eql([]);
+    });
+
+    it('should keep the message across reconnections and clear it on unsubscribe', function() {
+      topic.subscribe(function() {});
+      ros.emit('/battery_state', { percentage: 0.5 });
+      ros.emit('close');
+      expect(topic.latest.percentage).to.equal(0.5);
+      topic.unsubscribe();
+      expect(topic.latest).to.equal(null);
+    });
+
+    it('should wait for a new message rather than the latest', function() {
+      topic.subscribe(function() {});
+      ros.emit('/battery_state', { percentage: 0.5 });
+      var promise = topic.waitForMessage();
+      ros.emit('/battery_state', { percentage: 0.3 });
+      return promise.then(function(message) {
+        expect(message.percentage).to.equal(0.3);
+      });
+    });
+  });
+
+  describe('subscription options', function() {
+    var ros, topic;
+    beforeEach(function() {
+      ros = new ROSLIB.Ros();
+      ros.callOnConnection = function() {};
+      topic = new ROSLIB.Topic({ ros: ros, name: '/odom' });
+    });
+
+    function collect(received) {
+      return function(message) {
+        received.push(message.seq);
+      };
+    }
+
+    it('should filter and decimate per callback', function() {
+      var all = [], nth = [], even = [], rated = [];
+      topic.subscribe(collect(all));
+      topic.subscribe(collect(nth), { everyNth: 2 });
+      topic.subscribe(collect(even), {
+        filter: function(message) {
+          return message.seq % 2 === 0;
+        }
+      });
+      topic.subscribe(collect(rated), { maxRate: 2 });
+      [1, 2, 3, 4, 5, 6].forEach(function(seq) {
+        ros.emit('/odom', { seq: seq });
+      });
+      expect(all).to.eql([1, 2, 3, 4, 5, 6]);
+      expect(nth).to.eql([1, 3, 5]);
+      expect(even).to.eql([2, 4, 6]);
+      expect(rated).to.eql([1]);
+    });
+
+    it('should pass on the last message after the debounce time', function(done) {
+      var received = [];
+      topic.subscribe(collect(received), { debounce: 5 });
+      [1, 2, 3].forEach(function(seq) {
+        ros.emit('/odom', { seq: seq });
+      });
+      expect(received).to.eql([]);
+      setTimeout(function() {
+        expect(received).to.eql([3]);
+        done();
+      }, 20);
+    });
+
+    it('should unsubscribe callbacks with options', function() {
+      var received = [];
+      var callback = collect(received);
+      var other = function() {};
+      topic.subscribe(callback, { everyNth: 2 });
+      topic.subscribe(other);
+      topic.unsubscribe(callback);
+      ros.emit('/odom', { seq: 1 });
+      expect(received).to.eql([]);
+      expect(topic.subscribeId).to.be.a('string');
+      topic.unsubscribe(other);
+      expect(topic.subscribeId).to.equal(null);
+    });
+
+    it('should cancel debounced messages when unsubscribing', function(done) {
+      var received = [];
+      topic.subscribe(collect(received), { debounce: 5 });
+      ros.emit('/odom', { seq: 1 });
+      topic.unsubscribe();
+      setTimeout(function() {
+        expect(received).to.eql([]);
+        done();
+      }, 20);
+    });
+  });
+
+});
@@ -22,4 +22,46 @@ describe('Transform', function() {
     });
   });
 
+  describe('composition', function() {
+    var turn, shift;
+    beforeEach(function() {
+      turn = new ROSLIB.Transform({
+        translation: { x: 1, y: 0, z: 0 },
+        rotation: ROSLIB.Quaternion.fromEuler(0, 0, Math.PI / 2)
+      });
+      shift = new ROSLIB.Transform({ translation: { x: 0, y: 0, z: 2 } });
+    });
+
+    it('should apply the right hand transform first', function() {
+      var point = turn.multiply(shift).apply({ x: 1, y: 0, z: 0 });
+      expect(point.x).to.be.closeTo(1, 1e-9);
+      expect(point.y).to.be.closeTo(1, 1e-9);
+      expect(point.z).to.be.closeTo(2, 1e-9);
+    });
+
+    it('should undo itself with its inverse', function() {
+      var identity = turn.multiply(turn.inverse());
+      expect(identity.translation.length()).to.be.closeTo(0, 1e-9);
+      expect(identity.rotation.angleTo(new ROSLIB.Quaternion())).to.be.closeTo(0, 1e-6);
+      expect(turn.translation.x).to.equal(1);
+    });
+
+    it('should apply to poses', function() {
+      var pose = turn.apply(new ROSLIB.Pose({ position: { x: 0, y: 1, z: 0 } }));
+      expect(pose).to.be.an.instanceof(ROSLIB.Pose);
+      expect(pose.position.x).to.be.closeTo(0, 1e-9);
+      expect(pose.position.y).to.be.closeTo(0, 1e-9);
+      expect(pose.orientation.z).to.be.closeTo(Math.SQRT1_2, 1e-9);
+    });
+
+    it('should convert to and from matrices', function() {
+      var matrix = turn.multiply(shift).toMatrix4();
+      matrix.multiply(shift.inverse().toMatrix4());
+      var back = ROSLIB.Transform.fromMatrix4(matrix);
+      expect(back.translation.x).to.be.closeTo(1, 1e-9);
+      expect(back.translation.z).to.be.closeTo(0, 1e-9);
+      expect(back.rotation.angleTo(turn.rotation)).to.be.closeTo(0, 1e-6);
+    });
+  });
+
 });
@@ -70,6 +70,90 @@ var sample_urdf = function (){
     '</robot>';
 }
 
+// the optional elements of links and joints, and elements the parser does not understand
+var detailed_urdf = function (){
+  return '<robot name="test_robot">' +
+    '  <link name="link1">'+ // test well-behaved versions of the basic shapes
+    '    <visual>'+
+    '      <geometry>'+
+    '        <sphere radius="1" />'+
+    '      </geometry>'+
+    '    </visual>'+
+    '  </link>'+
+    '  <link name="link2">'+
+    '    <inertial>'+
+    '      <origin xyz="0 0 0.25" />'+
+    '      <mass value="2.5" />'+
+    '      <inertia ixx="0.1" ixy="0" ixz="0" iyy="0.2" iyz="0" izz="0.3" />'+
+    '    </inertial>'+
+    '    <collision name="hull">'+
+    '      <origin xyz="0 0 0.1" rpy="0 0 1.5707963267948966" />'+
+    '      <geometry>'+
+    '        <cylinder radius="0.3" length="0.6" />'+
+    '      </geometry>'+
+    '    </collision>'+
+    '    <visual>'+
+    '      <geometry>'+
+    '        <box size="0.5 0.5 0.5" />'+
+    '      </geometry>'+
+    '    </visual>'+
+    '  </link>'+
+    '  <link name="link3">'+
+    '    <visual>'+
+    '      <geometry>'+
+    '        <cylinder radius="0.2" length="2" />'+
+    '      </geometry>'+
+    '    </visual>'+
+    '  </link>'+
+    '  <link name="link4">'+ // and an extra one with a material
+    '    <visual>'+
+    '      <geometry>'+
+    '        <box size="1 1 1" />'+
+    '      </geometry>'+
+    '      <material name="red">'+
+    '        <color rgba="1 0 0 1" />'+
+    '      </material>'+
+    '    </visual>'+
+    '  </link>'+
+    '  <link name="link5">'+ // link with referenced material and multiple visuals
+    '    <visual>'+
+    '      <geometry>'+
+    '        <box size="1 1 1" />'+
+    '      </geometry>'+
+    '      <material name="blue" />'+
+    '    </visual>'+
+    '    <visual>'+
+    '      <geometry>'+
+    '        <box size="2 2 2" />'+
+    '      </geometry>'+
+    '      <material name="blue" />'+
+    '    </visual>'+
+    '  </link>'+
+    '  <joint name="joint1" type="continuous">'+
+    '    <parent link="link1"/>'+
+    '    <child link="link2"/>'+
+    '  </joint>'+
+    '  <joint name="joint2" type="revolute">'+
+    '    <parent link="link1"/>'+
+    '    <child link="link3"/>'+
+    '    <axis xyz="0 0 1"/>'+
+    '    <limit lower="-1.5" upper="1.5" effort="30" velocity="2"/>'+
+    '    <dynamics damping="0.7"/>'+
+    '    <mimic joint="joint1" multiplier="-2"/>'+
+    '    <safety_controller soft_lower_limit="-1.4" soft_upper_limit="1.4" k_velocity="10"/>'+
+    '    <calibration rising="0.5"/>'+
+    '  </joint>'+
+    '  <joint name="joint3" type="continuous">'+
+    '    <parent link="link3"/>'+
+    '    <child link="link4"/>'+
+    '  </joint>'+
+    '  <material name="blue">'+
+    '    <color rgba="0 0 1 1" />'+
+    '  </material>'+
+    '  <gazebo reference="link1"><material>Gazebo/Red</material></gazebo>'+
+    '</robot>';
+}
+
 describe('URDF', function() {
 
   describe('parsing', function() {
@@ -111,6 +195,68 @@ describe('URDF', function() {
       expect(urdfModel.links['link5'].visuals[0].material.color.a).to.equal(1.0);
     });
 
+    it('should construct collision and inertial elements', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: detailed_urdf()
+      });
+
+      var link2 = urdfModel.links['link2'];
+      expect(link2.collisions.length).to.equal(1);
+      expect(link2.collisions[0].name).to.equal('hull');
+      expect(link2.collisions[0].geometry.type).to.equal(ROSLIB.URDF_CYLINDER);
+      expect(link2.collisions[0].geometry.radius).to.equal(0.3);
+      expect(link2.collisions[0].origin.position.z).to.equal(0.1);
+      expect(link2.collisions[0].origin.orientation.z).to.be.closeTo(Math.SQRT1_2, 1e-9);
+      // the visual does not pick up the collision geometry
+      expect(link2.visuals[0].geometry.type).to.equal(ROSLIB.URDF_BOX);
+
+      expect(link2.inertial.mass).to.equal(2.5);
+      expect(link2.inertial.origin.position.z).to.equal(0.25);
+      expect(link2.inertial.inertia.iyy).to.equal(0.2);
+      expect(link2.inertial.inertia.izz).to.equal(0.3);
+
+      expect(urdfModel.links['link1'].collisions.length).to.equal(0);
+      expect(urdfModel.links['link1'].inertial).to.equal(null);
+    });
+
+    it('should construct joint elements with the specification defaults', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: detailed_urdf()
+      });
+
+      var joint1 = urdfModel.joints['joint1'];
+      expect(joint1.axis).to.include({ x: 1, y: 0, z: 0 });
+      expect(joint1.dynamics).to.eql({ damping: 0, friction: 0 });
+      expect(joint1.effort).to.equal(null);
+      expect(joint1.mimic).to.equal(null);
+      expect(joint1.safetyController).to.equal(null);
+      expect(joint1.calibration).to.equal(null);
+
+      var joint2 = urdfModel.joints['joint2'];
+      expect(joint2.axis).to.include({ x: 0, y: 0, z: 1 });
+      expect(joint2.minval).to.equal(-1.5);
+      expect(joint2.maxval).to.equal(1.5);
+      expect(joint2.effort).to.equal(30);
+      expect(joint2.velocity).to.equal(2);
+      expect(joint2.dynamics).to.eql({ damping: 0.7, friction: 0 });
+      expect(joint2.mimic).to.eql({ joint: 'joint1', multiplier: -2, offset: 0 });
+      expect(joint2.safetyController).to.eql({ softLowerLimit: -1.4, softUpperLimit: 1.4, kPosition: 0, kVelocity: 10 });
+      expect(joint2.calibration).to.eql({ rising: 0.5, falling: null });
+    });
+
+    it('should build the link tree', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: sample_urdf()
+      });
+
+      expect(urdfModel.rootLink.name).to.equal('link1');
+      expect(urdfModel.links['link1'].parentJoint).to.equal(null);
+      expect(urdfModel.links['link1'].childJoints.map(function(joint) {
+        return joint.child;
+      })).to.eql(['link2', 'link3']);
+      expect(urdfModel.links['link4'].parentJoint.name).to.equal('joint3');
+    });
+
     it('is ignorant to the xml node', function(){
       var parser = new DOMParser();
       var xml = parser.parseFromString(sample_urdf(), 'text/xml');
@@ -119,4 +265,349 @@ describe('URDF', function() {
     });
   });
 
+  describe('kinematics', function() {
+    var arm = '<robot name="arm">' +
+      '  <link name="base"/><link name="upper"/><link name="slider"/><link name="finger"/><link name="tool"/>' +
+      '  <joint name="shoulder" type="revolute">' +
+      '    <parent link="base"/><child link="upper"/>' +
+      '    <origin xyz="0 0 1"/><axis xyz="0 0 1"/>' +
+      '  </joint>' +
+      '  <joint name="rail" type="prismatic">' +
+      '    <parent link="upper"/><child link="slider"/>' +
+      '    <origin xyz="1 0 0"/><axis xyz="2 0 0"/>' +
+      '  </joint>' +
+      '  <joint name="finger_joint" type="revolute">' +
+      '    <parent link="slider"/><child link="finger"/>' +
+      '    <axis xyz="0 0 1"/><mimic joint="shoulder" multiplier="-1"/>' +
+      '  </joint>' +
+      '  <joint name="tool_mount" type="fixed">' +
+      '    <parent link="finger"/><child link="tool"/>' +
+      '    <origin xyz="0.5 0 0"/>' +
+      '  </joint>' +
+      '</robot>';
+
+    it('should compute the link poses from a joint state', function() {
+      var urdfModel = new ROSLIB.UrdfModel({ string: arm });
+      var poses = urdfModel.computeLinkPoses({
+        name: ['shoulder', 'rail'],
+        position: [Math.PI / 2, 0.5]
+      });
+
+      expect(poses['base'].position).to.include({ x: 0, y: 0, z: 0 });
+      expect(poses['upper'].position.z).to.equal(1);
+      // the rail points along y after the shoulder turned
+      expect(poses['slider'].position.x).to.be.closeTo(0, 1e-9);
+      expect(poses['slider'].position.y).to.be.closeTo(1.5, 1e-9);
+      // the finger turns back, so the tool points along x again
+      expect(poses['finger'].orientation.angleTo(new ROSLIB.Quaternion())).to.be.closeTo(0, 1e-6);
+      expect(poses['tool'].position.x).to.be.closeTo(0.5, 1e-9);
+      expect(poses['tool'].position.y).to.be.closeTo(1.5, 1e-9);
+      expect(poses['tool'].position.z).to.be.closeTo(1, 1e-9);
+    });
+
+    it('should accept a map of joint positions', function() {
+      var urdfModel = new ROSLIB.UrdfModel({ string: arm });
+      var poses = urdfModel.computeLinkPoses({ rail: 1 });
+      expect(poses['tool'].position.x).to.be.closeTo(2.5, 1e-9);
+    });
+  });
+
+  describe('serialization', function() {
+    it('should round-trip the parsed model', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: detailed_urdf()
+      });
+      urdfModel.links['link2'].visuals[0].origin = new ROSLIB.Pose({
+        position: { x: 1, y: 2, z: 3 },
+        orientation: ROSLIB.Quaternion.fromEuler(0.1, 0.2, 0.3)
+      });
+      urdfModel.joints['joint2'].maxval = 1.2;
+
+      var copy = new ROSLIB.UrdfModel({
+        string: urdfModel.toString()
+      });
+      expect(Object.keys(copy.links)).to.eql(Object.keys(urdfModel.links));
+      expect(copy.links['link5'].visuals[1].material.color.b).to.equal(1);
+      expect(copy.links['link2'].inertial.inertia).to.eql(urdfModel.links['link2'].inertial.inertia);
+      expect(copy.links['link2'].collisions[0].geometry.length).to.equal(0.6);
+      var origin = copy.links['link2'].visuals[0].origin;
+      expect(origin.position).to.include({ x: 1, y: 2, z: 3 });
+      expect(origin.orientation.angleTo(ROSLIB.Quaternion.fromEuler(0.1, 0.2, 0.3))).to.be.closeTo(0, 1e-6);
+
+      var joint2 = copy.joints['joint2'];
+      expect(joint2.maxval).to.equal(1.2);
+      expect(joint2.axis).to.include({ x: 0, y: 0, z: 1 });
+      expect(joint2.mimic).to.eql(urdfModel.joints['joint2'].mimic);
+      expect(joint2.safetyController).to.eql(urdfModel.joints['joint2'].safetyController);
+      expect(joint2.calibration).to.eql(urdfModel.joints['joint2'].calibration);
+    });
+
+    it('should preserve unknown elements', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: detailed_urdf()
+      });
+      expect(urdfModel.toString()).to.contain('<gazebo reference="link1"><material>Gazebo/Red</material></gazebo>');
+    });
+
+    it('should serialize materials and unknown elements where they were', function() {
+      var urdf = '<robot name="r">' +
+        '<material name="blue"><color rgba="0 0 1 1"/></material>' +
+        '<link name="base"><visual><geometry><box size="1 1 1"/></geometry>' +
+        '<material name="blue"/></visual>' +
+        '<visual><geometry><sphere radius="1"/></geometry>' +
+        '<material name="red"><color rgba="1 0 0 1"/></material></visual>' +
+        '<sensor name="camera"/></link>' +
+        '<link name="arm"/>' +
+        '<joint name="j" type="fixed"><parent link="base"/><child link="arm"/>' +
+        '<transmission_hint type="simple"/></joint>' +
+        '</robot>';
+      var serialized = new ROSLIB.UrdfModel({ string: urdf }).toString();
+      expect(serialized).to.not.contain('name=""');
+      expect(serialized).to.contain('<visual><geometry><box size="1 1 1"/></geometry><material name="blue"/></visual>');
+      expect(serialized).to.contain('<material name="red"><color rgba="1 0 0 1"/></material></visual>');
+      expect(serialized.match(/<material /g)).to.have.length(3);
+      expect(serialized).to.contain('<sensor name="camera"/></link>');
+      expect(serialized).to.contain('<transmission_hint type="simple"/></joint>');
+
+      var copy = new ROSLIB.UrdfModel({ string: serialized });
+      expect(copy.toString()).to.equal(serialized);
+      expect(copy.links.base.visuals[0].material.color.b).to.equal(1);
+      expect(copy.links.base.visuals[1].material.color.r).to.equal(1);
+    });
+
+    it('should keep unknown elements of visuals, collisions and inertials', function() {
+      var urdf = '<robot name="r"><link name="l">' +
+        '<inertial><mass value="1"/><ifoo/><inertia ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"/></inertial>' +
+        '<visual><geometry><sphere radius="1"/></geometry><vfoo/></visual>' +
+        '<collision><cfoo k="2"/><geometry><sphere radius="1"/></geometry></collision>' +
+        '</link></robot>';
+      var link = new ROSLIB.UrdfModel({ string: urdf }).links.l;
+      expect(link.inertial.toString()).to.equal('<inertial><mass value="1"/><ifoo/>' +
+        '<inertia ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"/></inertial>');
+      expect(link.visuals[0].toString()).to.equal('<visual><geometry><sphere radius="1"/></geometry><vfoo/></visual>');
+      expect(link.collisions[0].toString()).to.equal('<collision><cfoo k="2"/><geometry><sphere radius="1"/></geometry></collision>');
+    });
+
+    it('should keep unknown elements in their place', function() {
+      var urdf = '<robot name="r">' +
+        '<gazebo><static>true</static></gazebo>' +
+        '<link name="base"><visual><geometry><sphere radius="1"/></geometry></visual>' +
+        '<foo/>' +
+        '<collision><geometry><sphere radius="1"/></geometry></collision></link>' +
+        '<link name="arm"/>' +
+        '<joint name="j" type="fixed"><parent link="base"/><child link="arm"/></joint>' +
+        '</robot>';
+      expect(new ROSLIB.UrdfModel({ string: urdf }).toString()).to.equal(urdf);
+    });
+
+    it('should serialize single elements', function() {
+      var urdfModel = new ROSLIB.UrdfModel({
+        string: sample_urdf()
+      });
+      expect(urdfModel.links['link1'].visuals[0].geometry.toString()).to.equal('<sphere radius="1"/>');
+    });
+  });
+
+  describe('validation', function() {
+    var invalid_urdf = '<robot name="broken">' +
+      '  <link name="base">' +
+      '    <visual><geometry></geometry></visual>' +
+      '    <visual><geometry><box size="1 x 1"/></geometry><material name="red"><color/></material></visual>' +
+      '  </link>' +
+      '  <link name="base"/>' +
+      '  <link name="arm"/>' +
+      '  <link name="a"/>' +
+      '  <link name="b"/>' +
+      '  <joint name="j1" type="revolute"><parent link="base"/><child link="arm"/></joint>' +
+      '  <joint name="j2" type="fixed"><parent link="base"/><child link="hand"/></joint>' +
+      '  <joint name="j3" type="fixed"><parent link="a"/><child link="b"/></joint>' +
+      '  <joint name="j4" type="fixed"><parent link="b"/><child link="a"/></joint>' +
+      '</robot>';
+
+    function messages(diagnostics) {
+      return diagnostics.map(function(diagnostic) {
+        return diagnostic.path + ': ' + diagnostic.message;
+      });
+    }
+
+    it('should find no problems in a valid URDF', function() {
+      var validator = new ROSLIB.UrdfValidator({
+        string: '<robot name="valid">' +
+          '  <material name="red"><color rgba="1 0 0 1"/></material>' +
+          '  <link name="base"><visual><geometry><box size="1 1 1"/></geometry><material name="red"/></visual></link>' +
+          '  <link name="arm"><inertial><mass value="1"/>' +
+          '    <inertia ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"/></inertial></link>' +
+          '  <joint name="j1" type="revolute"><parent link="base"/><child link="arm"/>' +
+          '    <origin xyz="0 0 1" rpy="0 0 0"/><limit lower="-1" upper="1" effort="1" velocity="1"/></joint>' +
+          '</robot>'
+      });
+      expect(validator.diagnostics).to.eql([]);
+      expect(validator.isValid()).to.equal(true);
+    });
+
+    it('should report the problems with their paths', function() {
+      var validator = new ROSLIB.UrdfValidator({ string: invalid_urdf });
+      expect(validator.isValid()).to.equal(false);
+      expect(messages(validator.diagnostics)).to.have.members([
+        '/robot[@name="broken"]/link[@name="base"]/visual[1]/geometry: The geometry has no shape',
+        '/robot[@name="broken"]/link[@name="base"]/visual[2]/geometry/box: The attribute size="1 x 1" is not 3 numbers',
+        '/robot[@name="broken"]/link[@name="base"]/visual[2]/material[@name="red"]/color: Missing the required attribute rgba',
+        '/robot[@name="broken"]/link[@name="base"]: The link name base is not unique',
+        '/robot[@name="broken"]/joint[@name="j1"]: A revolute joint needs a limit',
+        '/robot[@name="broken"]/joint[@name="j2"]/child: The child link hand does not exist',
+        '/robot[@name="broken"]/joint[@name="j4"]: The joints form a cycle through the links a, b'
+      ]);
+      validator.diagnostics.forEach(function(diagnostic) {
+        expect(diagnostic.severity).to.equal('error');
+      });
+    });
+
+    it('should report malformed XML', function() {
+      var validator = new ROSLIB.UrdfValidator({ string: '<robot name="r"><link name="a"/' });
+      expect(validator.isValid()).to.equal(false);
+      expect(messages(validator.diagnostics)).to.include('/: Malformed XML: unexpected end of input');
+    });
+
+    it('should report truncated XML as an error', function() {
+      var urdf = '<robot name="r"><link name="a">';
+      var validator = new ROSLIB.UrdfValidator({ string: urdf });
+      expect(validator.isValid()).to.equal(false);
+      expect(messages(validator.diagnostics)).to.eql([
+        '/: Malformed XML: an element is not closed, the document may be truncated'
+      ]);
+      var model = new ROSLIB.UrdfModel({ string: urdf, validate: true });
+      expect(model.diagnostics[0].severity).to.equal('error');
+    });
+
+    it('should parse invalid URDF without throwing or logging', function() {
+      var warn = console.warn;
+      var warnings = [];
+      console.warn = function(message) {
+        warnings.push(message);
+      };
+      try {
+        var urdfModel = new ROSLIB.UrdfModel({ string: invalid_urdf, validate: true });
+        expect(urdfModel.diagnostics).to.have.length(7);
+        expect(urdfModel.links['base'].visuals[0].geometry).to.equal(null);
+        expect(urdfModel.links['base'].visuals[1].material.color.a).to.equal(1);
+        expect(urdfModel.rootLink.name).to.equal('base');
+      } finally {
+        console.warn = warn;
+      }
+      expect(warnings).to.eql([]);
+    });
+  });
+
+  describe('loading', function() {
+    var robot = function(name) {
+      return '<robot name="' + name + '"><link name="base"/></robot>';
+    };
+
+    // Answers get_param calls with the values in `params`, failing for others.
+    function fakeParams(ros, params) {
+      ros.callOnConnection = function(message) {
+        if (message.op === 'call_service') {
+          setTimeout(function() {
+            var value = params[message.args.name];
+            ros.emit(message.id, value === undefined ?
+              { values: 'Parameter not found', result: false } :
+              { values: { value: JSON.stringify(value) }, result: true });
+          }, 0);
+        }
+      };
+    }
+
+    it('should load the parameter and updates of it', function(done) {
+      var ros = new ROSLIB.Ros();
+      ros.isConnected = true;
+      var params = { robot_description: robot('first') };
+      fakeParams(ros, params);
+      var loader = new ROSLIB.UrdfLoader({ ros: ros, pollInterval: 10 });
+      var names = [];
+      loader.on('model', function(model) {
+        names.push(model.name);
+        if (names.length === 1) {
+          params.robot_description = robot('second');
+        } else {
+          expect(names).to.eql(['first', 'second']);
+          expect(loader.model.rootLink.name).to.equal('base');
+          loader.dispose();
+          done();
+        }
+      });
+    });
+
+    it('should fall back to the parameter of robot_state_publisher', function() {
+      var ros = new ROSLIB.Ros();
+      fakeParams(ros, { 'robot_state_publisher:robot_description': robot('ros2') });
+      var loader = ROSLIB.UrdfModel.fromParam(ros);
+      expect(loader).to.be.an.instanceof(ROSLIB.UrdfLoader);
+      return loader.load().then(function(model) {
+        expect(model.name).to.equal('ros2');
+        expect(loader._paramName).to.equal('robot_state_publisher:robot_description');
+        loader.dispose();
+      });
+    });
+
+    it('should load from the robot_description topic', function() {
+      var ros = new ROSLIB.Ros();
+      fakeParams(ros, {});
+      var loader = new ROSLIB.UrdfLoader({ ros: ros, pollInterval: 0 });
+      setTimeout(function() {
+        ros.emit('/robot_description', { data: robot('latched') });
+      }, 5);
+      return loader.load().then(function(model) {
+        expect(model.name).to.equal('latched');
+        loader.dispose();
+        expect(ros.listenerCount('/robot_description')).to.equal(0);
+      });
+    });
+
+    it('should fetch the parameter once by default', function() {
+      var ros = new ROSLIB.Ros();
+      ros.isConnected = true;
+      var calls = 0;
+      ros.callOnConnection = function(message) {
+        if (message.op === 'call_service') {
+          calls++;
+        }
+      };
+      var loader = new ROSLIB.UrdfLoader({ ros: ros });
+      expect(loader.pollInterval).to.equal(0);
+      expect(loader._timer).to.equal(null);
+      expect(calls).to.equal(1);
+      loader.dispose();
+    });
+
+    it('should reject loading an unparsable description', function() {
+      var ros = new ROSLIB.Ros();
+      fakeParams(ros, { robot_description: 'not a robot' });
+      var loader = new ROSLIB.UrdfLoader({ ros: ros, topic: null });
+      return loader.load().then(function() {
+        throw new Error('should not load');
+      }, function(error) {
+        expect(error).to.equal(loader.parseError);
+        expect(loader.listenerCount('error')).to.equal(0);
+        return loader.load();
+      }).then(function() {
+        throw new Error('should not load');
+      }, function(error) {
+        expect(error).to.equal(loader.parseError);
+        loader.dispose();
+      });
+    });
+
+    it('should time out loading', function() {
+      var ros = new ROSLIB.Ros();
+      fakeParams(ros, {});
+      var loader = new ROSLIB.UrdfLoader({ ros: ros });
+      return loader.load({ timeout: 10 }).then(function() {
+        throw new Error('should not load');
+      }, function(error) {
+        expect(error.code).to.equal('TIMEOUT');
+        loader.dispose();
+      });
+    });
+  });
+
 });
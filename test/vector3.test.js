@@ -0,0 +1,53 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+describe('Vector3', function() {
+
+  describe('products', function() {
+    it('should compute the dot product', function() {
+      var v = new ROSLIB.Vector3({ x: 1, y: 2, z: 3 });
+      expect(v.dot({ x: 4, y: -5, z: 6 })).to.equal(12);
+    });
+
+    it('should compute the cross product in place and as a new vector', function() {
+      var x = new ROSLIB.Vector3({ x: 1 });
+      var z = ROSLIB.Vector3.cross(x, { x: 0, y: 1, z: 0 });
+      expect(z).to.include({ x: 0, y: 0, z: 1 });
+      expect(x).to.include({ x: 1, y: 0, z: 0 });
+      x.cross({ x: 0, y: 1, z: 0 });
+      expect(x).to.include({ x: 0, y: 0, z: 1 });
+    });
+  });
+
+  describe('length', function() {
+    it('should compute lengths and distances', function() {
+      var v = new ROSLIB.Vector3({ x: 3, y: 4 });
+      expect(v.length()).to.equal(5);
+      expect(v.distanceTo({ x: 3, y: 4, z: 12 })).to.equal(12);
+    });
+
+    it('should normalize and scale', function() {
+      var v = new ROSLIB.Vector3({ x: 3, y: 4 });
+      var unit = ROSLIB.Vector3.normalize(v);
+      expect(unit.length()).to.be.closeTo(1, 1e-12);
+      expect(v.length()).to.equal(5);
+      v.multiplyScalar(2);
+      expect(v).to.include({ x: 6, y: 8, z: 0 });
+      expect(ROSLIB.Vector3.multiplyScalar(v, 0.5)).to.include({ x: 3, y: 4, z: 0 });
+    });
+
+    it('should leave a zero vector when normalizing it', function() {
+      var v = new ROSLIB.Vector3();
+      v.normalize();
+      expect(v).to.include({ x: 0, y: 0, z: 0 });
+    });
+  });
+
+  describe('lerp', function() {
+    it('should interpolate linearly', function() {
+      var v = ROSLIB.Vector3.lerp({ x: 0, y: 2, z: 0 }, { x: 4, y: 0, z: 0 }, 0.25);
+      expect(v).to.include({ x: 1, y: 1.5, z: 0 });
+    });
+  });
+
+});
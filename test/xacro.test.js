@@ -0,0 +1,123 @@
+var expect = require('chai').expect;
+var ROSLIB = require('..');
+
+var XACRO_NS = 'xmlns:xacro="http://www.ros.org/wiki/xacro"';
+
+function process(xacro, options) {
+  return new ROSLIB.Xacro(options).process(xacro);
+}
+
+describe('Xacro', function() {
+
+  it('should substitute properties and expressions', function() {
+    return process('<robot name="r" ' + XACRO_NS + '>' +
+      '<xacro:property name="radius" value="0.5"/>' +
+      '<xacro:property name="diameter" value="${2 * radius}"/>' +
+      '<link name="wheel"><visual><geometry>' +
+      '<cylinder radius="${radius}" length="${diameter / 4 + 1}"/>' +
+      '</geometry><origin rpy="${pi/2 if diameter > 0.5 else 0} 0 ${-radians(90)}"/></visual></link>' +
+      '</robot>').then(function(xml) {
+      var cylinder = xml.getElementsByTagName('cylinder')[0];
+      expect(cylinder.getAttribute('radius')).to.equal('0.5');
+      expect(cylinder.getAttribute('length')).to.equal('1.25');
+      var rpy = xml.getElementsByTagName('origin')[0].getAttribute('rpy').split(' ').map(parseFloat);
+      expect(rpy[0]).to.be.closeTo(Math.PI / 2, 1e-12);
+      expect(rpy[2]).to.be.closeTo(-Math.PI / 2, 1e-12);
+      expect(xml.documentElement.hasAttribute('xmlns:xacro')).to.equal(false);
+    });
+  });
+
+  it('should expand macros with default and block parameters', function() {
+    return process('<robot name="r" ' + XACRO_NS + '>' +
+      '<xacro:macro name="leg" params="prefix reflect:=1 *origin **content">' +
+      '  <link name="${prefix}_leg"><xacro:insert_block name="content"/></link>' +
+      '  <joint name="${prefix}_joint" type="fixed">' +
+      '    <parent link="base"/><child link="${prefix}_leg"/>' +
+      '    <xacro:insert_block name="origin"/>' +
+      '  </joint>' +
+      '</xacro:macro>' +
+      '<link name="base"/>' +
+      '<xacro:leg prefix="left"><origin xyz="0 1 0"/><content><inertial><mass value="1"/></inertial></content></xacro:leg>' +
+      '<xacro:leg prefix="right" reflect="-1"><origin xyz="0 -1 0"/><content/></xacro:leg>' +
+      '</robot>').then(function(xml) {
+      var model = new ROSLIB.UrdfModel({ xml: xml });
+      expect(Object.keys(model.links)).to.eql(['base', 'left_leg', 'right_leg']);
+      expect(model.links['left_leg'].inertial.mass).to.equal(1);
+      expect(model.joints['right_joint'].origin.position.y).to.equal(-1);
+      expect(model.rootLink.name).to.equal('base');
+    });
+  });
+
+  it('should evaluate conditionals and arguments', function() {
+    return process('<robot name="r" ' + XACRO_NS + '>' +
+      '<xacro:arg name="use_gripper" default="false"/>' +
+      '<xacro:arg name="prefix" default="arm_"/>' +
+      '<xacro:if value="$(arg use_gripper)"><link name="$(arg prefix)gripper"/></xacro:if>' +
+      '<xacro:unless value="${1 == 2}"><link name="$(arg prefix)base"/></xacro:unless>' +
+      '</robot>', { args: { use_gripper: 'true' } }).then(function(xml) {
+      var links = xml.getElementsByTagName('link');
+      expect(links.length).to.equal(2);
+      expect(links[0].getAttribute('name')).to.equal('arm_gripper');
+      expect(links[1].getAttribute('name')).to.equal('arm_base');
+    });
+  });
+
+  it('should include files through the resolver', function() {
+    var files = {
+      'package://my_robot/urdf/wheel.xacro': '<robot ' + XACRO_NS + '>' +
+        '<xacro:property name="wheel_radius" value="0.1"/>' +
+        '<xacro:macro name="wheel" params="name"><link name="${name}"/></xacro:macro>' +
+        '</robot>'
+    };
+    return process('<robot name="r" ' + XACRO_NS + '>' +
+      '<xacro:include filename="$(find my_robot)/urdf/wheel.xacro"/>' +
+      '<xacro:wheel name="wheel_${wheel_radius * 10}"/>' +
+      '</robot>', {
+      resolver: function(filename) {
+        return Promise.resolve(files[filename]);
+      }
+    }).then(function(xml) {
+      expect(xml.getElementsByTagName('link')[0].getAttribute('name')).to.equal('wheel_1');
+    });
+  });
+
+  it('should reject undefined properties instead of evaluating code', function() {
+    return process('<robot name="r" ' + XACRO_NS + '><link name="${process.exit(1)}"/></robot>').then(function() {
+      throw new Error('should not resolve');
+    }, function(error) {
+      expect(error.message).to.contain('Unknown function');
+    });
+  });
+
+  it('should reject empty and malformed documents', function() {
+    var rejected = function(promise) {
+      return promise.then(function() {
+        throw new Error('should not resolve');
+      }, function(error) {
+        return error.message;
+      });
+    };
+    var errors = [];
+    var error = console.error;
+    console.error = function(message) {
+      errors.push(message);
+    };
+    var results = Promise.all([
+      rejected(process('')),
+      rejected(process('<robot')),
+      rejected(process('<robot name="r" ' + XACRO_NS + '><xacro:include filename="broken.xacro"/></robot>', {
+        resolver: function() {
+          return '<robot><link name="a"';
+        }
+      }))
+    ]);
+    console.error = error;
+    return results.then(function(messages) {
+      expect(messages[0]).to.equal('No XML element in the xacro document');
+      expect(messages[1]).to.contain('Malformed XML in the xacro document');
+      expect(messages[2]).to.contain('Malformed XML in broken.xacro');
+      expect(errors).to.eql([]);
+    });
+  });
+
+});